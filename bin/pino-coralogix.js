@@ -0,0 +1,10 @@
+#!/usr/bin/env node
+import { run } from '../src/cli.js'
+
+process.exitCode = await run({
+  argv: process.argv.slice(2),
+  env: process.env,
+  stdin: process.stdin,
+  stdout: process.stdout,
+  signals: process
+})
@@ -0,0 +1,19 @@
+import { replayDeadLetters } from '../src/index.js'
+
+// Usage: node examples/replay-dead-letters.js ./coralogix-dead-letter.ndjson
+const file = process.argv[2]
+if (!file) {
+  console.error('Usage: node examples/replay-dead-letters.js <dead-letter-file>')
+  process.exit(1)
+}
+
+const result = await replayDeadLetters(file, {
+  domain: process.env.CORALOGIX_DOMAIN || 'us1',
+  apiKey: process.env.CORALOGIX_API_KEY || 'your-api-key',
+  applicationName: 'my-application',
+  subsystemName: 'my-service',
+  replayRate: 500, // Logs per second
+  deadLetterFile: `${file}.failed` // Logs that fail again
+})
+
+console.log(`Replayed ${result.sent} logs, ${result.failed} failed`)
@@ -1,3 +1,42 @@
+import { splitBulkLog, bulkGroupKey, BULK_GROUP_OVERHEAD_BYTES } from './bulk.js'
+import { otlpJsonRecordBytes, otlpJsonResourceBytes, OTLP_JSON_REQUEST_OVERHEAD_BYTES } from './otlp.js'
+
+/**
+ * Bytes taken by the enclosing brackets of the JSON array
+ */
+const ARRAY_OVERHEAD_BYTES = 2
+
+export const VALID_OVERFLOW_POLICIES = ['block', 'dropOldest', 'dropNewest', 'dropLowestSeverity']
+
+/**
+ * First-in first-out queue with constant time shift
+ */
+class Queue {
+  constructor () {
+    this.items = []
+    this.head = 0
+  }
+
+  get length () {
+    return this.items.length - this.head
+  }
+
+  push (item) {
+    this.items.push(item)
+  }
+
+  shift () {
+    const item = this.items[this.head]
+    this.items[this.head++] = undefined
+    // Reclaim the shifted slots once they make up most of the array
+    if (this.head > 1024 && this.head * 2 > this.items.length) {
+      this.items = this.items.slice(this.head)
+      this.head = 0
+    }
+    return item
+  }
+}
+
 /**
  * BatchAccumulator - Accumulates logs and flushes them based on size or time
  */
@@ -8,15 +47,41 @@ export class BatchAccumulator {
    * @param {number} config.batchSize - Number of logs before flushing
    * @param {number} config.flushInterval - Time in ms between flushes
    * @param {number} config.maxBatchSizeBytes - Max batch size in bytes
+   * @param {number} [config.maxInFlight=1] - Max number of batches being flushed at the same time
+   * @param {number} [config.maxBufferedBytes=Infinity] - Max size in bytes of the logs waiting to be flushed
+   * @param {number} [config.maxBufferedRecords=Infinity] - Max number of logs waiting to be flushed
+   * @param {string} [config.overflowPolicy='dropLowestSeverity'] - What to do with new logs when the buffer is full
+   * @param {Function} [config.onDrop] - Called with the number of logs dropped since the last call
+   * @param {string} [config.endpointType='singles'] - 'bulk' sizes batches as groups of entries
+   * @param {string} [config.protocol='rest'] - With 'otlp' and otlpEncoding 'json', batches are sized as OTLP/JSON
+   * @param {string} [config.otlpEncoding='protobuf'] - 'protobuf' or 'json'
+   * @param {string} [config.messageKey] - Key of the message, moved to the OTLP body
+   * @param {Object} [config.resourceAttributes] - Extra OTLP resource attributes
    * @param {Function} onFlush - Callback function to call when flushing (receives batch array)
    */
   constructor (config, onFlush) {
     this.config = config
     this.onFlush = onFlush
     this.batch = []
-    this.currentSizeBytes = 0
+    this.sealed = []
+    this.sealedSizes = new Map()
+    this.bulk = config.endpointType === 'bulk'
+    this.otlpJson = config.protocol === 'otlp' && config.otlpEncoding === 'json'
+    this.emptyBatchBytes = this.otlpJson ? OTLP_JSON_REQUEST_OVERHEAD_BYTES : ARRAY_OVERHEAD_BYTES
+    this.currentSizeBytes = this.emptyBatchBytes
+    this.bufferedCount = 0
+    this.bufferedBytes = this.emptyBatchBytes
+    this.groups = new Set()
     this.timer = null
-    this.flushing = false
+    this.maxInFlight = config.maxInFlight ?? 1
+    this.inFlight = new Set()
+    this.maxBufferedBytes = config.maxBufferedBytes ?? Infinity
+    this.maxBufferedRecords = config.maxBufferedRecords ?? Infinity
+    this.overflowPolicy = config.overflowPolicy ?? 'dropLowestSeverity'
+    // Buffered logs in order, by severity with dropLowestSeverity, as { batch, index, size }
+    this.dropQueues = new Map()
+    this.dropped = 0
+    this.unreportedDrops = 0
 
     // Start the flush interval timer
     this.startTimer()
@@ -30,8 +95,9 @@ export class BatchAccumulator {
       clearInterval(this.timer)
     }
 
-    this.timer = setInterval(async () => {
-      await this.flush()
+    this.timer = setInterval(() => {
+      this.dispatch()
+      this.reportDrops()
     }, this.config.flushInterval)
 
     // Don't let the timer keep the process alive
@@ -42,80 +108,356 @@ export class BatchAccumulator {
 
   /**
    * Adds a log to the batch
+   * If the log would push the batch over maxBatchSizeBytes,
+   * the current batch is sealed first and the log starts a new one;
+   * the batch is sealed after the log once it holds batchSize logs
+   * When the buffer is full, logs are dropped according to the overflow policy,
+   * except with 'block' where the caller is expected to await flush (see isFull)
    * @param {Object} log - The log object to add
    * @returns {boolean} True if flush is needed after adding
    */
   add (log) {
+    const logSize = this.estimateLogSize(log)
+
+    if (this.overflowPolicy !== 'block' && !this.makeRoom(log, logSize)) {
+      this.recordDrop()
+      return this.needsFlush()
+    }
+
+    if (this.batch.length > 0 && this.currentSizeBytes + logSize + this.groupSize(log) > this.config.maxBatchSizeBytes) {
+      this.seal()
+    }
+
+    const addedBytes = logSize + this.groupSize(log)
+    this.currentSizeBytes += addedBytes
+    this.bufferedBytes += addedBytes
+    this.bufferedCount++
+    if (this.overflowPolicy === 'dropOldest' || this.overflowPolicy === 'dropLowestSeverity') {
+      this.dropQueue(this.dropQueueKey(log)).push({ batch: this.batch, index: this.batch.length, size: logSize })
+    }
     this.batch.push(log)
-    this.currentSizeBytes += this.estimateLogSize(log)
+    if (this.bulk || this.otlpJson) {
+      this.groups.add(bulkGroupKey(log))
+    }
+    if (this.batch.length >= this.config.batchSize) {
+      this.seal()
+    }
     return this.needsFlush()
   }
 
+  /**
+   * Returns the key of the drop queue holding a log
+   * @param {Object} log - The log object
+   * @returns {number} Severity with dropLowestSeverity, otherwise 0
+   */
+  dropQueueKey (log) {
+    return this.overflowPolicy === 'dropLowestSeverity' ? log.severity : 0
+  }
+
+  /**
+   * Returns a drop queue, creating it when missing
+   * @param {number} key - Key of the queue
+   * @returns {Queue} The queue
+   */
+  dropQueue (key) {
+    let queue = this.dropQueues.get(key)
+    if (!queue) {
+      queue = new Queue()
+      this.dropQueues.set(key, queue)
+    }
+    return queue
+  }
+
+  /**
+   * Computes the size the group of a log adds to the current batch
+   * With the bulk endpoint, group metadata is sent once per batch, and with OTLP/JSON
+   * the resource of the group; it stays counted if the group's logs are removed,
+   * keeping the size an upper bound
+   * @param {Object} log - The log object
+   * @returns {number} Size in bytes, 0 for singles or a group already in the batch
+   */
+  groupSize (log) {
+    if ((!this.bulk && !this.otlpJson) || this.groups.has(bulkGroupKey(log))) {
+      return 0
+    }
+    if (this.otlpJson) {
+      return otlpJsonResourceBytes(log, this.config) + 1
+    }
+    return Buffer.byteLength(JSON.stringify(splitBulkLog(log).group)) + BULK_GROUP_OVERHEAD_BYTES
+  }
+
+  /**
+   * Drops buffered logs until a new log fits, according to the overflow policy
+   * - dropOldest: drops the oldest buffered logs
+   * - dropNewest: drops the new log
+   * - dropLowestSeverity: drops the oldest log with the lowest severity,
+   *   or the new log if no buffered log has a lower severity
+   * @param {Object} log - The log about to be added
+   * @param {number} logSize - Its size in bytes
+   * @returns {boolean} False if the new log must be dropped
+   */
+  makeRoom (log, logSize) {
+    while (this.bufferedCount > 0 && !this.fits(logSize)) {
+      if (this.overflowPolicy === 'dropNewest') {
+        return false
+      }
+
+      // Queues hold logs oldest first, only the lowest key needs to be found
+      let lowestKey = Infinity
+      for (const [key, queue] of this.dropQueues) {
+        if (queue.length > 0 && key < lowestKey) {
+          lowestKey = key
+        }
+      }
+      const queue = this.dropQueues.get(lowestKey)
+      if (!queue || (this.overflowPolicy === 'dropLowestSeverity' && lowestKey >= log.severity)) {
+        return false
+      }
+
+      this.remove(queue.shift())
+      this.recordDrop()
+    }
+    return this.fits(logSize)
+  }
+
+  /**
+   * Checks if a log can be buffered without exceeding maxBufferedBytes or maxBufferedRecords
+   * @param {number} logSize - Size of the log in bytes
+   * @returns {boolean} True if the log fits
+   */
+  fits (logSize) {
+    return this.bufferedCount < this.maxBufferedRecords &&
+      this.bufferedBytes + logSize <= this.maxBufferedBytes
+  }
+
+  /**
+   * Checks if the buffer has reached maxBufferedBytes or maxBufferedRecords
+   * @returns {boolean} True if the buffer is full
+   */
+  isFull () {
+    return this.bufferedCount >= this.maxBufferedRecords || this.bufferedBytes >= this.maxBufferedBytes
+  }
+
+  /**
+   * Removes a buffered log, leaving an empty slot in its batch that is skipped on dispatch
+   * @param {Object} entry - Drop queue entry { batch, index, size }
+   */
+  remove ({ batch, index, size }) {
+    batch[index] = null
+    if (batch === this.batch) {
+      this.currentSizeBytes -= size
+    } else {
+      this.sealedSizes.set(batch, this.sealedSizes.get(batch) - size)
+    }
+    this.bufferedBytes -= size
+    this.bufferedCount--
+  }
+
+  /**
+   * Counts a log dropped because the buffer was full
+   */
+  recordDrop () {
+    this.dropped++
+    this.unreportedDrops++
+  }
+
+  /**
+   * Calls onDrop with the number of logs dropped since the last report
+   */
+  reportDrops () {
+    if (this.unreportedDrops > 0 && this.config.onDrop) {
+      const count = this.unreportedDrops
+      this.unreportedDrops = 0
+      this.config.onDrop(count)
+    }
+  }
+
+  /**
+   * Returns the total number of logs dropped because the buffer was full
+   * @returns {number} Number of logs
+   */
+  droppedCount () {
+    return this.dropped
+  }
+
+  /**
+   * Moves the current batch to the queue of batches waiting to be flushed
+   */
+  seal () {
+    this.sealed.push(this.batch)
+    this.sealedSizes.set(this.batch, this.currentSizeBytes)
+    this.batch = []
+    this.currentSizeBytes = this.emptyBatchBytes
+    this.bufferedBytes += this.emptyBatchBytes
+    this.groups = new Set()
+  }
+
   /**
    * Checks if the batch needs to be flushed
-   * Returns true if batch is at 80% of max size
+   * Returns true if a batch is sealed or the current batch is at 80% of max size
    * @returns {boolean} True if flush is needed
    */
   needsFlush () {
     const threshold = this.config.maxBatchSizeBytes * 0.8
-    return this.currentSizeBytes >= threshold
+    return this.sealed.length > 0 || this.currentSizeBytes >= threshold
   }
 
   /**
-   * Estimates the size of a log object in bytes
+   * Computes the size a log adds to the serialized batch, not counting its group
    * @param {Object} log - The log object
-   * @returns {number} Estimated size in bytes
+   * @returns {number} Size in UTF-8 bytes, including the separating comma
    */
   estimateLogSize (log) {
-    // Simple estimation using JSON.stringify length
-    // This is an approximation, actual size may vary
-    return JSON.stringify(log).length
+    if (this.otlpJson) {
+      return otlpJsonRecordBytes(log, this.config) + 1
+    }
+    const serialized = this.bulk ? splitBulkLog(log).entry : log
+    return Buffer.byteLength(JSON.stringify(serialized)) + 1
+  }
+
+  /**
+   * Returns the size of a log as compared to maxLogSizeBytes: its Coralogix JSON form,
+   * or with OTLP/JSON its record together with its resource
+   * @param {Object} log - The log object
+   * @returns {number} Size in UTF-8 bytes
+   */
+  logSizeBytes (log) {
+    if (this.otlpJson) {
+      return otlpJsonRecordBytes(log, this.config) + otlpJsonResourceBytes(log, this.config) + 1
+    }
+    return Buffer.byteLength(JSON.stringify(log))
+  }
+
+  /**
+   * Returns the largest log, as measured by logSizeBytes, that fits alone in a batch
+   * @returns {number} Size in bytes
+   */
+  maxLogSizeBytes () {
+    const groupOverhead = this.bulk ? BULK_GROUP_OVERHEAD_BYTES : 0
+    return this.config.maxBatchSizeBytes - this.emptyBatchBytes - 1 - groupOverhead
   }
 
   /**
-   * Returns the estimated total size of the current batch in bytes
-   * @returns {number} Estimated size in bytes
+   * Returns the total size of the current batch in bytes
+   * @returns {number} Size in bytes
    */
   estimatedSizeBytes () {
     return this.currentSizeBytes
   }
 
   /**
-   * Returns the number of logs in the current batch
+   * Returns the size in bytes of all logs waiting to be flushed
+   * @returns {number} Size in bytes
+   */
+  bufferedSizeBytes () {
+    return this.bufferedBytes
+  }
+
+  /**
+   * Returns the number of logs waiting to be flushed
    * @returns {number} Number of logs
    */
   size () {
-    return this.batch.length
+    return this.bufferedCount
+  }
+
+  /**
+   * Returns the logs waiting to be flushed, oldest first
+   * @returns {Array} Log objects
+   */
+  bufferedLogs () {
+    return [...this.sealed, this.batch].flat().filter((log) => log !== null)
+  }
+
+  /**
+   * Returns the number of batches currently being flushed
+   * @returns {number} Number of batches
+   */
+  inFlightCount () {
+    return this.inFlight.size
+  }
+
+  /**
+   * Seals the current batch and hands sealed batches to onFlush
+   * while fewer than maxInFlight are in flight, without waiting
+   * Remaining batches are handed over as soon as a slot frees up
+   */
+  dispatch () {
+    if (this.batch.length > 0) {
+      this.seal()
+    }
+    this.dispatchSealed()
+  }
+
+  /**
+   * Hands sealed batches to onFlush while fewer than maxInFlight are in flight,
+   * leaving the current batch to fill up
+   */
+  dispatchSealed () {
+    while (this.sealed.length > 0 && this.inFlight.size < this.maxInFlight) {
+      const sealedBatch = this.sealed.shift()
+      this.bufferedBytes -= this.sealedSizes.get(sealedBatch)
+      this.sealedSizes.delete(sealedBatch)
+
+      const batchToFlush = sealedBatch.filter((log) => log !== null)
+      this.bufferedCount -= batchToFlush.length
+      // The oldest buffered logs are at the head of their drop queue
+      if (this.dropQueues.size > 0) {
+        for (const log of batchToFlush) {
+          this.dropQueues.get(this.dropQueueKey(log)).shift()
+        }
+      }
+      if (batchToFlush.length === 0) {
+        continue
+      }
+
+      const task = this.flushBatch(batchToFlush).finally(() => {
+        this.inFlight.delete(task)
+        this.dispatchSealed()
+      })
+      this.inFlight.add(task)
+    }
   }
 
   /**
-   * Flushes the current batch
+   * Like dispatch, but resolves only once every sealed batch has been handed over,
+   * waiting for a free slot when all of them are taken (backpressure)
    * @returns {Promise<void>}
    */
   async flush () {
-    // Prevent concurrent flushes
-    if (this.flushing || this.batch.length === 0) {
-      return
-    }
+    this.dispatch()
 
-    this.flushing = true
+    while (this.sealed.length > 0) {
+      await Promise.race(this.inFlight)
+    }
+  }
 
+  /**
+   * Calls onFlush for a single batch
+   * @param {Array} batch - The batch to flush
+   * @returns {Promise<void>}
+   */
+  async flushBatch (batch) {
     try {
-      const batchToFlush = this.batch
-      this.batch = []
-      this.currentSizeBytes = 0
-
-      await this.onFlush(batchToFlush)
+      await this.onFlush(batch)
     } catch (error) {
       // Log error but don't throw to prevent crash
       console.error('Error in flush callback:', error)
-    } finally {
-      this.flushing = false
     }
   }
 
   /**
-   * Stops the timer and flushes remaining logs
+   * Waits until no batch is in flight
+   * @returns {Promise<void>}
+   */
+  async idle () {
+    while (this.inFlight.size > 0) {
+      await Promise.all(this.inFlight)
+    }
+  }
+
+  /**
+   * Stops the timer, flushes remaining logs and waits for every batch in flight
    * @returns {Promise<void>}
    */
   async stop () {
@@ -124,5 +466,7 @@ export class BatchAccumulator {
       this.timer = null
     }
     await this.flush()
+    await this.idle()
+    this.reportDrops()
   }
 }
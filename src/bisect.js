@@ -0,0 +1,120 @@
+/**
+ * Status codes for which Coralogix rejects a batch for its content,
+ * so splitting the batch can isolate the offending log(s)
+ * 400 Bad Request (malformed log) and 413 Payload Too Large
+ */
+export const BISECT_STATUS_CODES = [400, 413]
+
+/**
+ * Error reported for a single log rejected by Coralogix
+ */
+export class RejectedLogError extends Error {
+  constructor (log, cause) {
+    super(`Coralogix rejected a log with HTTP ${cause.statusCode}: ${cause.message}`, { cause })
+    this.name = 'RejectedLogError'
+    this.statusCode = cause.statusCode
+    this.log = log
+  }
+}
+
+/**
+ * Error reported once for a batch rejected as a whole, e.g. for an invalid header or application name
+ */
+export class RejectedBatchError extends Error {
+  constructor (logs, cause) {
+    super(`Coralogix rejected a batch of ${logs.length} logs with HTTP ${cause.statusCode}: ${cause.message}`, { cause })
+    this.name = 'RejectedBatchError'
+    this.statusCode = cause.statusCode
+    this.logs = logs
+  }
+}
+
+/**
+ * Sends a part, returning the error of a 400 or 413 instead of throwing it
+ * @param {Array} part - Array of Coralogix log objects
+ * @param {Function} send - Async function sending an array of logs
+ * @param {Array} unsent - Parts not sent yet after this one, attached to other errors
+ * @returns {Promise<Error|null>} The rejection, or null if the part was sent
+ * @throws {Error} Any other error, with unsentLogs
+ */
+async function trySend (part, send, unsent) {
+  try {
+    await send(part)
+    return null
+  } catch (error) {
+    if (!BISECT_STATUS_CODES.includes(error.statusCode)) {
+      error.unsentLogs = [part, ...unsent].flat()
+      throw error
+    }
+    return error
+  }
+}
+
+/**
+ * Sends a batch, splitting it in halves whenever Coralogix rejects it with
+ * a 400 or 413, until every accepted part is sent and every rejected log is isolated
+ * When both halves of a rejected part and its first log alone are all rejected with a 400,
+ * the request itself is at fault: the part is reported once instead of being split further
+ * Parts are sent in order, except that the second half of a split is tried before
+ * the first half is split; on any other error, the logs not sent yet are
+ * attached to the error as unsentLogs before it is re-thrown
+ * @param {Array} logs - Array of Coralogix log objects
+ * @param {Function} send - Async function sending an array of logs
+ * @param {Function} onRejected - Called with a RejectedLogError for each isolated log,
+ *   or a RejectedBatchError for a part rejected as a whole
+ * @returns {Promise<void>}
+ * @throws {Error} The first error that is not a 400 or 413, with unsentLogs
+ */
+export async function sendBisecting (logs, send, onRejected) {
+  // Parts to send, with the rejection already received for a part that was tried
+  const queue = [{ part: logs, error: null }]
+  const unsentParts = () => queue.map(({ part }) => part)
+
+  while (queue.length > 0) {
+    const { part, error: knownError } = queue.shift()
+
+    const error = knownError ?? await trySend(part, send, unsentParts())
+    if (!error) {
+      continue
+    }
+
+    if (part.length === 1) {
+      onRejected(new RejectedLogError(part[0], error))
+      continue
+    }
+
+    const middle = Math.ceil(part.length / 2)
+    const left = part.slice(0, middle)
+    const right = part.slice(middle)
+
+    const leftError = await trySend(left, send, [right, ...unsentParts()])
+    if (!leftError) {
+      queue.unshift({ part: right, error: null })
+      continue
+    }
+
+    const rightError = await trySend(right, send, [left, ...unsentParts()])
+    if (!rightError) {
+      queue.unshift({ part: left, error: leftError })
+      continue
+    }
+    if (leftError.statusCode !== 400 || rightError.statusCode !== 400) {
+      queue.unshift({ part: left, error: leftError }, { part: right, error: rightError })
+      continue
+    }
+
+    // Both halves rejected: a log on its own tells a request-level error from bad logs
+    const [first, ...others] = left
+    const firstError = others.length === 0
+      ? leftError
+      : await trySend([first], send, [others, right, ...unsentParts()])
+    if (firstError?.statusCode === 400) {
+      onRejected(new RejectedBatchError(part, firstError))
+      continue
+    }
+    if (firstError) {
+      onRejected(new RejectedLogError(first, firstError))
+    }
+    queue.unshift({ part: others, error: null }, { part: right, error: rightError })
+  }
+}
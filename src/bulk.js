@@ -0,0 +1,57 @@
+export const VALID_ENDPOINT_TYPES = ['singles', 'bulk']
+
+/**
+ * Fields sent once per group by the bulk endpoint
+ */
+const GROUP_FIELDS = ['applicationName', 'subsystemName', 'computerName']
+
+/**
+ * Upper bound of the bytes a group adds around a single entry:
+ * the logEntries array, the entry braces and the separating comma
+ */
+export const BULK_GROUP_OVERHEAD_BYTES = Buffer.byteLength(',"logEntries":[{}]},')
+
+/**
+ * Splits a Coralogix log into its group metadata and its entry
+ * @param {Object} log - Coralogix log object
+ * @returns {Object} { group, entry } where group holds the GROUP_FIELDS that are set
+ */
+export function splitBulkLog (log) {
+  const group = {}
+  const entry = { ...log }
+  for (const field of GROUP_FIELDS) {
+    if (log[field] !== undefined) {
+      group[field] = log[field]
+    }
+    delete entry[field]
+  }
+  return { group, entry }
+}
+
+/**
+ * Returns the key of the group of a log
+ * @param {Object} log - Coralogix log object
+ * @returns {string} Key combining the GROUP_FIELDS
+ */
+export function bulkGroupKey (log) {
+  return JSON.stringify(GROUP_FIELDS.map((field) => log[field]))
+}
+
+/**
+ * Converts Coralogix logs to the bulk payload, grouped by
+ * applicationName, subsystemName and computerName in order of first appearance
+ * @param {Array} logs - Array of Coralogix log objects
+ * @returns {Array} Groups of the form { applicationName, subsystemName, computerName?, logEntries }
+ */
+export function toBulkPayload (logs) {
+  const groups = new Map()
+  for (const log of logs) {
+    const key = bulkGroupKey(log)
+    const { group, entry } = splitBulkLog(log)
+    if (!groups.has(key)) {
+      groups.set(key, { ...group, logEntries: [] })
+    }
+    groups.get(key).logEntries.push(entry)
+  }
+  return [...groups.values()]
+}
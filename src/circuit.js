@@ -0,0 +1,185 @@
+import { isRetriable } from './retry.js'
+
+/**
+ * Status codes meaning the API key is missing, invalid or revoked
+ */
+const AUTH_STATUS_CODES = [401, 403]
+
+/**
+ * Error thrown instead of sending while the circuit is not closed
+ */
+export class CircuitOpenError extends Error {
+  constructor (state, retryAt) {
+    super(`Circuit breaker is ${state}, not sending until ${new Date(retryAt).toISOString()}`)
+    this.name = 'CircuitOpenError'
+    this.state = state
+    this.retryAt = retryAt
+  }
+}
+
+/**
+ * Error reported once when Coralogix rejects the API key
+ */
+export class AuthenticationError extends Error {
+  constructor (cause) {
+    super(`Coralogix rejected the API key with HTTP ${cause.statusCode}, logs will not be delivered until it is fixed`, { cause })
+    this.name = 'AuthenticationError'
+    this.statusCode = cause.statusCode
+  }
+}
+
+/**
+ * CircuitBreaker - Stops sending to Coralogix during sustained failures
+ *
+ * - closed: sends go through, consecutive transient failures are counted
+ * - open: sends are short-circuited for resetTimeout ms after failureThreshold failures
+ * - halfOpen: a single trial send decides whether to close or re-open the circuit
+ * - unauthorized: like open, entered on 401/403, because retrying will not fix the API key
+ */
+export class CircuitBreaker {
+  /**
+   * Creates a new CircuitBreaker
+   * @param {Object} config - Configuration options
+   * @param {number} config.failureThreshold - Consecutive failures before opening the circuit
+   * @param {number} config.resetTimeout - Time in ms before a trial send is allowed
+   * @param {Function} [config.onStateChange] - Called with (state, error) on every state change
+   */
+  constructor (config) {
+    this.config = config
+    this.state = 'closed'
+    this.failures = 0
+    this.openedAt = 0
+    this.trialInFlight = false
+    this.waiters = new Set()
+  }
+
+  /**
+   * Returns the time at which a trial send is allowed
+   * @returns {number} Timestamp in ms
+   */
+  retryAt () {
+    return this.openedAt + this.config.resetTimeout
+  }
+
+  /**
+   * Runs a send through the circuit
+   * @param {Function} fn - Async function performing the send
+   * @returns {Promise<*>} The result of fn
+   * @throws {CircuitOpenError} If the circuit does not let the send through
+   */
+  async call (fn) {
+    let isTrial = false
+
+    if (this.state !== 'closed') {
+      if (this.trialInFlight || Date.now() < this.retryAt()) {
+        throw new CircuitOpenError(this.state, this.retryAt())
+      }
+      isTrial = true
+      this.trialInFlight = true
+      if (this.state === 'open') {
+        this.setState('halfOpen')
+      }
+    }
+
+    try {
+      const result = await fn()
+      this.onSuccess()
+      return result
+    } catch (error) {
+      this.onFailure(error)
+      throw error
+    } finally {
+      if (isTrial) {
+        this.trialInFlight = false
+        this.notify()
+      }
+    }
+  }
+
+  /**
+   * Closes the circuit after a send went through
+   */
+  onSuccess () {
+    this.failures = 0
+    if (this.state !== 'closed') {
+      this.setState('closed')
+    }
+  }
+
+  /**
+   * Counts a failed send and opens the circuit when needed
+   * Errors about the content of a batch (e.g. 400) prove Coralogix is reachable
+   * @param {Error} error - The error thrown by the send
+   */
+  onFailure (error) {
+    if (AUTH_STATUS_CODES.includes(error.statusCode)) {
+      this.openedAt = Date.now()
+      if (this.state !== 'unauthorized') {
+        this.setState('unauthorized', error)
+      }
+      return
+    }
+
+    if (!isRetriable(error)) {
+      this.onSuccess()
+      return
+    }
+
+    this.failures++
+    if (this.state !== 'closed' || this.failures >= this.config.failureThreshold) {
+      this.openedAt = Date.now()
+      if (this.state !== 'open') {
+        this.setState('open', error)
+      }
+    }
+  }
+
+  /**
+   * Changes the state and notifies listeners
+   * @param {string} state - The new state
+   * @param {Error} [error] - The error that caused the change
+   */
+  setState (state, error) {
+    this.state = state
+    this.notify()
+    if (this.config.onStateChange) {
+      this.config.onStateChange(state, error)
+    }
+  }
+
+  /**
+   * Wakes up every caller of waitUntilReady
+   */
+  notify () {
+    for (const wake of this.waiters) {
+      wake()
+    }
+  }
+
+  /**
+   * Waits until a send may go through: the circuit is closed, or a trial
+   * is allowed, or the state changed
+   * @param {AbortSignal} [signal] - Stops waiting when aborted
+   * @returns {Promise<void>}
+   */
+  waitUntilReady (signal) {
+    return new Promise((resolve) => {
+      if (this.state === 'closed' || signal?.aborted) {
+        resolve()
+        return
+      }
+
+      const wake = () => {
+        clearTimeout(timer)
+        this.waiters.delete(wake)
+        signal?.removeEventListener('abort', wake)
+        resolve()
+      }
+
+      // While a trial is in flight, its outcome wakes everybody up
+      const timer = this.trialInFlight ? null : setTimeout(wake, Math.max(this.retryAt() - Date.now(), 0))
+      this.waiters.add(wake)
+      signal?.addEventListener('abort', wake)
+    })
+  }
+}
@@ -0,0 +1,280 @@
+import { readFile } from 'node:fs/promises'
+import { once } from 'node:events'
+import { build, replayDeadLetters } from './index.js'
+
+/**
+ * Short flags for the most common options
+ */
+const FLAG_ALIASES = {
+  app: 'applicationName',
+  subsystem: 'subsystemName'
+}
+
+/**
+ * Environment variables kept for compatibility with the examples
+ */
+const ENV_ALIASES = {
+  CORALOGIX_APP_NAME: 'applicationName',
+  CORALOGIX_SUBSYSTEM: 'subsystemName'
+}
+
+/**
+ * Options that are always strings, even when they look like numbers, booleans or JSON
+ */
+const STRING_OPTIONS = new Set([
+  'apiKey', 'applicationName', 'subsystemName', 'computerName', 'passphrase',
+  'endpoint', 'proxy', 'noProxy', 'spoolDir', 'deadLetterFile', 'eventChannel',
+  'caFile', 'certFile', 'keyFile', 'proxyCaFile',
+  'redactCensor', 'redactHashSalt', 'messageKey', 'timeKey', 'levelKey', 'hiResTimestampKey',
+  'traceIdKey', 'spanIdKey', 'traceFlagsKey', 'traceparentKey',
+  'applicationNameKey', 'subsystemNameKey', 'rateLimitKey'
+])
+
+/**
+ * Options whose name starts with no, so --no-<rest> <value> sets them
+ * instead of turning <rest> off
+ */
+const NO_PREFIXED_OPTIONS = new Set(['noProxy'])
+
+/**
+ * Flags handled by the CLI itself, never passed to the transport
+ */
+const CLI_FLAGS = new Set(['config', 'tee', 'help', 'version'])
+
+/**
+ * Flags that never take a value
+ */
+const BOOLEAN_FLAGS = new Set(['tee', 'help', 'version'])
+
+const ENV_PREFIX = 'CORALOGIX_'
+
+const USAGE = `Usage: pino-coralogix [options]
+       pino-coralogix replay <dead-letter-file> [options]
+
+Reads NDJSON logs from stdin and sends them to Coralogix.
+
+Options:
+  --domain <domain>         Coralogix domain (us1, eu1, ... or a full domain)
+  --api-key <key>           Send-Your-Data API key
+  --app <name>              Application name (--application-name)
+  --subsystem <name>        Subsystem name (--subsystem-name)
+  --config <file>           JSON file with transport options
+  --tee                     Also write the input to stdout
+  --<option> <value>        Any other transport option, e.g. --batch-size 500
+  --no-<option>             Set a boolean option to false
+  --help                    Show this help
+  --version                 Show the version
+
+Every option can also be set as an environment variable,
+e.g. CORALOGIX_API_KEY or CORALOGIX_BATCH_SIZE.
+Precedence: flags, then environment variables, then the config file.`
+
+/**
+ * Converts kebab-case or SNAKE_CASE to camelCase
+ * @param {string} name - The name
+ * @returns {string} camelCase name
+ */
+function toCamelCase (name) {
+  return name.toLowerCase().replace(/[-_]([a-z0-9])/g, (_, char) => char.toUpperCase())
+}
+
+/**
+ * Converts a string value to the type it represents
+ * @param {string} name - Option name
+ * @param {string} value - Raw value
+ * @returns {*} Boolean, number, parsed JSON or the string itself
+ */
+function coerce (name, value) {
+  if (STRING_OPTIONS.has(name)) {
+    return value
+  }
+  if (value === 'true' || value === 'false') {
+    return value === 'true'
+  }
+  if (/^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value)
+  }
+  if (/^[[{]/.test(value)) {
+    try {
+      return JSON.parse(value)
+    } catch {
+      throw new Error(`Invalid JSON for ${name}: ${value}`)
+    }
+  }
+  return value
+}
+
+/**
+ * Parses command line arguments
+ * Accepts --name value, --name=value, --flag and --no-flag
+ * @param {string[]} argv - Arguments, without the node and script paths
+ * @returns {Object} Object with options (camelCase) and positionals
+ */
+export function parseArgs (argv) {
+  const options = {}
+  const positionals = []
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i]
+    if (!arg.startsWith('--')) {
+      positionals.push(arg)
+      continue
+    }
+
+    let [flag, value] = arg.slice(2).split(/=(.*)/s)
+    const next = argv[i + 1]
+    const hasNextValue = next !== undefined && !next.startsWith('--')
+    if (
+      value === undefined &&
+      flag.startsWith('no-') &&
+      !(NO_PREFIXED_OPTIONS.has(toCamelCase(flag)) && hasNextValue)
+    ) {
+      options[FLAG_ALIASES[flag.slice(3)] ?? toCamelCase(flag.slice(3))] = false
+      continue
+    }
+
+    const name = FLAG_ALIASES[flag] ?? toCamelCase(flag)
+    if (value === undefined) {
+      if (BOOLEAN_FLAGS.has(name) || !hasNextValue) {
+        options[name] = true
+        continue
+      }
+      value = argv[++i]
+    }
+    options[name] = coerce(name, value)
+  }
+
+  return { options, positionals }
+}
+
+/**
+ * Reads transport options from CORALOGIX_* environment variables
+ * @param {Object} env - Environment variables
+ * @returns {Object} Options (camelCase)
+ */
+export function parseEnv (env) {
+  const options = {}
+  for (const [variable, value] of Object.entries(env)) {
+    if (!variable.startsWith(ENV_PREFIX) || value === undefined || value === '') {
+      continue
+    }
+    const name = ENV_ALIASES[variable] ?? toCamelCase(variable.slice(ENV_PREFIX.length))
+    options[name] = coerce(name, value)
+  }
+  return options
+}
+
+/**
+ * Resolves the transport options from the config file, environment and flags
+ * @param {Object} params - Parameters
+ * @param {string[]} params.argv - Command line arguments
+ * @param {Object} params.env - Environment variables
+ * @returns {Promise<Object>} Object with options, cli (CLI-only flags) and positionals
+ */
+export async function loadOptions ({ argv, env }) {
+  const args = parseArgs(argv)
+  const fromEnv = parseEnv(env)
+
+  const configFile = args.options.config ?? fromEnv.config
+  const fromFile = configFile ? JSON.parse(await readFile(configFile, 'utf8')) : {}
+
+  const merged = { ...fromFile, ...fromEnv, ...args.options }
+  const options = {}
+  const cli = {}
+  for (const [name, value] of Object.entries(merged)) {
+    if (CLI_FLAGS.has(name)) {
+      cli[name] = value
+    } else {
+      options[name] = value
+    }
+  }
+
+  return { options, cli, positionals: args.positionals }
+}
+
+/**
+ * Runs the CLI
+ * @param {Object} params - Parameters
+ * @param {string[]} params.argv - Command line arguments
+ * @param {Object} params.env - Environment variables
+ * @param {Readable} params.stdin - Input stream of NDJSON logs
+ * @param {Writable} params.stdout - Output stream, for --tee, --help and --version
+ * @param {EventEmitter} [params.signals] - Emitter of SIGTERM/SIGINT, usually process
+ * @returns {Promise<number>} Exit code
+ */
+export async function run ({ argv, env, stdin, stdout, signals }) {
+  let loaded
+  try {
+    loaded = await loadOptions({ argv, env })
+  } catch (err) {
+    console.error(err.message)
+    return 1
+  }
+  const { options, cli, positionals } = loaded
+
+  if (cli.help) {
+    stdout.write(USAGE + '\n')
+    return 0
+  }
+  if (cli.version) {
+    const pkg = JSON.parse(await readFile(new URL('../package.json', import.meta.url), 'utf8'))
+    stdout.write(pkg.version + '\n')
+    return 0
+  }
+
+  if (positionals[0] === 'replay') {
+    return replay(positionals[1], options, stdout)
+  }
+
+  let transport
+  try {
+    transport = await build(options)
+  } catch (err) {
+    console.error(err.message)
+    return 1
+  }
+
+  if (cli.tee) {
+    stdin.on('data', (chunk) => stdout.write(chunk))
+  }
+
+  // Stop reading and flush on termination, the logs already read are still sent
+  const shutdown = () => {
+    stdin.unpipe(transport)
+    stdin.destroy()
+    transport.end()
+  }
+  signals?.once('SIGTERM', shutdown)
+  signals?.once('SIGINT', shutdown)
+
+  const closed = once(transport, 'close')
+  stdin.pipe(transport)
+  await closed
+
+  signals?.off('SIGTERM', shutdown)
+  signals?.off('SIGINT', shutdown)
+  return 0
+}
+
+/**
+ * Runs the replay subcommand
+ * @param {string} file - Dead-letter file
+ * @param {Object} options - Transport options
+ * @param {Writable} stdout - Output stream for the summary
+ * @returns {Promise<number>} Exit code, 1 if some logs failed again
+ */
+async function replay (file, options, stdout) {
+  if (!file) {
+    console.error('Usage: pino-coralogix replay <dead-letter-file> [options]')
+    return 1
+  }
+
+  try {
+    const { sent, failed } = await replayDeadLetters(file, options)
+    stdout.write(`Replayed ${sent} logs, ${failed} failed\n`)
+    return failed > 0 ? 1 : 0
+  } catch (err) {
+    console.error(err.message)
+    return 1
+  }
+}
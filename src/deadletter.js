@@ -0,0 +1,106 @@
+import { createReadStream } from 'node:fs'
+import { appendFile } from 'node:fs/promises'
+import { createInterface } from 'node:readline'
+
+/**
+ * DeadLetterFile - Appends logs that could not be delivered to an NDJSON file,
+ * one entry per log with the error that made it fail
+ */
+export class DeadLetterFile {
+  /**
+   * Creates a new DeadLetterFile
+   * @param {string} path - Path of the NDJSON file, created if needed
+   */
+  constructor (path) {
+    this.path = path
+    this.pending = Promise.resolve()
+  }
+
+  /**
+   * Appends failed logs, writes are serialized so entries never interleave
+   * @param {Array} logs - Array of Coralogix log objects
+   * @param {Error} error - The error that made them fail
+   * @returns {Promise<void>}
+   */
+  write (logs, error) {
+    const failedAt = new Date().toISOString()
+    const content = logs.map((log) => JSON.stringify({
+      failedAt,
+      error: error.message,
+      statusCode: error.statusCode,
+      attempts: error.attempts ?? error.cause?.attempts,
+      log
+    }) + '\n').join('')
+
+    const write = this.pending.then(() => appendFile(this.path, content))
+    // Keep the chain going even if this write fails
+    this.pending = write.catch(() => {})
+    return write
+  }
+
+  /**
+   * Waits for every pending write
+   * @returns {Promise<void>}
+   */
+  flushed () {
+    return this.pending
+  }
+}
+
+/**
+ * Reads a dead-letter file
+ * @param {string} path - Path of the NDJSON file
+ * @returns {AsyncGenerator<Object>} Entries { failedAt, error, statusCode, attempts, log }, corrupt lines are skipped
+ */
+export async function * readDeadLetters (path) {
+  const lines = createInterface({ input: createReadStream(path), crlfDelay: Infinity })
+  let lineNumber = 0
+
+  for await (const line of lines) {
+    lineNumber++
+    if (line.length === 0) {
+      continue
+    }
+
+    let entry
+    try {
+      entry = JSON.parse(line)
+    } catch (err) {
+      console.error(`Skipping corrupt line ${lineNumber} in dead-letter file ${path}:`, err.message)
+      continue
+    }
+    if (entry?.log) {
+      yield entry
+    }
+  }
+}
+
+/**
+ * Reads the logs of a dead-letter file as batches
+ * @param {string} path - Path of the NDJSON file
+ * @param {Object} config - Batching options
+ * @param {number} config.batchSize - Max number of logs per batch
+ * @param {number} config.maxBatchSizeBytes - Max serialized batch size in bytes
+ * @returns {AsyncGenerator<Array>} Batches of Coralogix log objects
+ */
+export async function * readDeadLetterBatches (path, config) {
+  let batch = []
+  let bytes = 2
+
+  for await (const { log } of readDeadLetters(path)) {
+    const logBytes = Buffer.byteLength(JSON.stringify(log)) + 1
+
+    if (batch.length > 0 && (batch.length >= config.batchSize || bytes + logBytes > config.maxBatchSizeBytes)) {
+      yield batch
+      batch = []
+      bytes = 2
+    }
+
+    batch.push(log)
+    bytes += logBytes
+  }
+
+  if (batch.length > 0) {
+    yield batch
+  }
+}
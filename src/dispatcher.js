@@ -0,0 +1,104 @@
+import { readFile } from 'node:fs/promises'
+import { Agent, EnvHttpProxyAgent } from 'undici'
+
+/**
+ * TLS options that can be given inline or as a file path (e.g. ca or caFile)
+ */
+const TLS_FILE_OPTIONS = ['ca', 'cert', 'key']
+
+/**
+ * Reads a PEM option given inline or as file path(s) in the matching *File option
+ * @param {Object} config - Transport configuration
+ * @param {string} name - Option name, e.g. ca
+ * @returns {Promise<string|string[]|undefined>} The PEM content(s), undefined when not set
+ */
+async function readPemOption (config, name) {
+  if (config[name]) {
+    return config[name]
+  }
+  if (config[`${name}File`]) {
+    const files = [].concat(config[`${name}File`])
+    const contents = await Promise.all(files.map((file) => readFile(file, 'utf8')))
+    return contents.length === 1 ? contents[0] : contents
+  }
+  return undefined
+}
+
+/**
+ * Builds the TLS connect options, reading certificate files when needed
+ * @param {Object} config - Transport configuration
+ * @returns {Promise<Object>} TLS options for undici's connect
+ */
+export async function buildTlsOptions (config) {
+  const tls = {}
+
+  for (const name of TLS_FILE_OPTIONS) {
+    const value = await readPemOption(config, name)
+    if (value) {
+      tls[name] = value
+    }
+  }
+
+  if (config.passphrase) {
+    tls.passphrase = config.passphrase
+  }
+  if (config.rejectUnauthorized === false) {
+    tls.rejectUnauthorized = false
+  }
+  if (config.servername) {
+    tls.servername = config.servername
+  }
+
+  return tls
+}
+
+/**
+ * Builds the TLS options of an HTTPS proxy connection
+ * The client certificate and key are only ever sent to Coralogix
+ * @param {Object} config - Transport configuration
+ * @returns {Promise<Object>} TLS options for undici's proxyTls
+ */
+export async function buildProxyTlsOptions (config) {
+  const ca = await readPemOption(config, 'proxyCa')
+  return ca ? { ca } : {}
+}
+
+/**
+ * Creates the undici dispatcher used to reach Coralogix
+ * Only plain data options are used, so they can be passed through
+ * Pino's transport options to the worker thread
+ * @param {Object} config - Transport configuration
+ * @param {string} [config.proxy] - HTTP(S) proxy URL
+ * @param {boolean} [config.proxyFromEnv] - Use HTTP_PROXY/HTTPS_PROXY/NO_PROXY from the environment
+ * @param {string} [config.noProxy] - Comma-separated hosts that bypass the proxy
+ * @param {string|string[]} [config.ca] - PEM CA certificate(s), or caFile for file path(s)
+ * @param {string} [config.cert] - PEM client certificate for mTLS, or certFile
+ * @param {string} [config.key] - PEM client key for mTLS, or keyFile
+ * @param {string} [config.passphrase] - Passphrase of the client key
+ * @param {boolean} [config.rejectUnauthorized] - Set to false to skip TLS verification
+ * @param {string} [config.servername] - TLS server name (SNI) override
+ * @param {string|string[]} [config.proxyCa] - PEM CA certificate(s) of an HTTPS proxy, or proxyCaFile
+ * @returns {Promise<Dispatcher|null>} The dispatcher, or null to use undici's global dispatcher
+ */
+export async function createDispatcher (config) {
+  const tls = await buildTlsOptions(config)
+  const useProxy = Boolean(config.proxy || config.proxyFromEnv)
+
+  if (!useProxy && Object.keys(tls).length === 0) {
+    return null
+  }
+
+  if (useProxy) {
+    // EnvHttpProxyAgent falls back to the environment for any proxy option left undefined
+    return new EnvHttpProxyAgent({
+      httpProxy: config.proxy,
+      httpsProxy: config.proxy,
+      noProxy: config.noProxy ?? (config.proxyFromEnv ? undefined : ''),
+      connect: tls,
+      requestTls: tls,
+      proxyTls: await buildProxyTlsOptions(config)
+    })
+  }
+
+  return new Agent({ connect: tls })
+}
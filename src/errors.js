@@ -0,0 +1,111 @@
+/**
+ * Maximum depth followed through cause and aggregate error chains
+ */
+const MAX_DEPTH = 10
+
+/**
+ * Checks if a value looks like an error, either a real Error
+ * or an error already serialized by Pino's err serializer
+ * @param {*} value - The value to check
+ * @returns {boolean} True if the value is error-like
+ */
+export function isErrorLike (value) {
+  if (value instanceof Error) {
+    return true
+  }
+  return value !== null &&
+    typeof value === 'object' &&
+    (typeof value.message === 'string' || typeof value.stack === 'string')
+}
+
+/**
+ * Serializes an error into a plain JSON-safe object
+ * Follows cause chains and AggregateError errors
+ * @param {*} err - The error (or serialized error) to process
+ * @param {Object} [options] - Serialization options
+ * @param {string} [options.stackFormat='string'] - 'string' keeps the stack as is, 'lines' splits it into an array of lines
+ * @param {number} [depth=0] - Current recursion depth
+ * @returns {*} Serialized error, or the value unchanged if it is not error-like
+ */
+export function serializeError (err, options = {}, depth = 0) {
+  if (!isErrorLike(err) || depth > MAX_DEPTH) {
+    return err
+  }
+
+  const serialized = {}
+
+  if (err instanceof Error) {
+    serialized.type = err.constructor?.name || err.name
+    serialized.message = err.message
+    serialized.stack = err.stack
+  }
+
+  for (const key of Object.keys(err)) {
+    serialized[key] = err[key]
+  }
+
+  if (err.cause !== undefined) {
+    serialized.cause = serializeError(err.cause, options, depth + 1)
+  }
+
+  // Pino's serializer uses aggregateErrors, a raw AggregateError uses errors;
+  // an errors field of any other error is left as is
+  if (err instanceof AggregateError) {
+    delete serialized.errors
+    serialized.aggregateErrors = err.errors.map((e) => serializeError(e, options, depth + 1))
+  } else if (Array.isArray(err.aggregateErrors)) {
+    serialized.aggregateErrors = err.aggregateErrors.map((e) => serializeError(e, options, depth + 1))
+  }
+
+  if (options.stackFormat === 'lines' && typeof serialized.stack === 'string') {
+    serialized.stack = formatStackLines(serialized.stack)
+  }
+
+  return serialized
+}
+
+/**
+ * Splits a stack trace into trimmed, non-empty lines
+ * @param {string} stack - The stack trace
+ * @returns {string[]} Stack lines
+ */
+function formatStackLines (stack) {
+  return stack
+    .split('\n')
+    .map((line) => line.trim())
+    .filter((line) => line.length > 0)
+}
+
+/**
+ * Extracts the class and method name from the top frame of a stack trace
+ * Understands V8 frames such as "at ClassName.methodName (file:1:2)"
+ * @param {string} stack - The stack trace
+ * @returns {Object|null} Object with className and methodName, or null if unavailable
+ */
+export function parseTopFrame (stack) {
+  if (typeof stack !== 'string') {
+    return null
+  }
+
+  const frame = stack.split('\n').find((line) => line.trim().startsWith('at '))
+  if (!frame) {
+    return null
+  }
+
+  const match = frame.trim().match(/^at (?:async )?(?:new )?(.+?) \(/)
+  if (!match) {
+    // Anonymous frame such as "at file:1:2"
+    return null
+  }
+
+  const name = match[1]
+  const dot = name.lastIndexOf('.')
+  if (dot === -1) {
+    return { className: undefined, methodName: name }
+  }
+
+  return {
+    className: name.slice(0, dot),
+    methodName: name.slice(dot + 1)
+  }
+}
@@ -0,0 +1,78 @@
+import { BroadcastChannel } from 'node:worker_threads'
+import { serializeError } from './errors.js'
+
+/**
+ * Converts an error to a structured-cloneable object for an event,
+ * unsent logs are replaced by their count to keep messages small
+ * @param {Error} error - The error
+ * @returns {Object} Serialized error
+ */
+function toEventError (error) {
+  const { unsentLogs, ...serialized } = serializeError(error)
+  if (unsentLogs) {
+    serialized.unsentCount = unsentLogs.length
+  }
+  return serialized
+}
+
+/**
+ * EventPublisher - Posts transport events to a named BroadcastChannel,
+ * which reaches every thread of the process, including the main thread
+ * when the transport runs in a worker
+ */
+export class EventPublisher {
+  /**
+   * Creates a new EventPublisher
+   * @param {string} name - Name of the BroadcastChannel
+   */
+  constructor (name) {
+    this.channel = new BroadcastChannel(name)
+    // Publishing must never keep the worker alive
+    this.channel.unref()
+    this.closed = false
+  }
+
+  /**
+   * Posts an event, events published after close are ignored
+   * @param {string} type - 'error', 'drop', 'circuit' or 'stats'
+   * @param {Object} data - Event fields, an error field is serialized
+   */
+  publish (type, data) {
+    if (this.closed) {
+      return
+    }
+
+    const event = { type, time: Date.now(), ...data }
+    if (data.error) {
+      event.error = toEventError(data.error)
+    }
+
+    try {
+      this.channel.postMessage(event)
+    } catch (err) {
+      console.error('Failed to publish transport event:', err.message)
+    }
+  }
+
+  /**
+   * Closes the channel
+   */
+  close () {
+    this.closed = true
+    this.channel.close()
+  }
+}
+
+/**
+ * Listens to the events of transports publishing to a channel
+ * @param {string} name - Name of the BroadcastChannel, the eventChannel option of the transport
+ * @param {Function} handler - Called with each event { type, time, ... }
+ * @returns {Function} Stops listening
+ */
+export function subscribe (name, handler) {
+  const channel = new BroadcastChannel(name)
+  channel.onmessage = (message) => handler(message.data)
+  // Listening alone does not keep the process alive
+  channel.unref()
+  return () => channel.close()
+}
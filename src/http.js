@@ -1,23 +1,89 @@
 import { request } from 'undici'
+import { promisify } from 'node:util'
+import { gzip, deflate } from 'node:zlib'
+import { encodeOtlpLogs, OTLP_CONTENT_TYPES } from './otlp.js'
+import { toBulkPayload } from './bulk.js'
+
+const COMPRESSORS = {
+  gzip: promisify(gzip),
+  deflate: promisify(deflate)
+}
+
+export const VALID_COMPRESSIONS = ['none', ...Object.keys(COMPRESSORS)]
+
+export const VALID_PROTOCOLS = ['rest', 'otlp']
+
+/**
+ * Ingestion paths of the REST protocol by endpoint type
+ */
+const REST_PATHS = {
+  singles: '/logs/v1/singles',
+  bulk: '/logs/v1/bulk'
+}
+
+const OTLP_PATH = '/v1/logs'
 
 /**
  * Builds the Coralogix API endpoint URL
- * @param {string} domain - The Coralogix domain (us1, us2, eu1, eu2, ap1, ap2, ap3)
+ * An explicit endpoint wins; a base URL without a path gets the protocol's path appended.
+ * Region codes expand to ingress.<region>.coralogix.com, full domains to ingress.<domain>
+ * @param {Object} config - Configuration object
+ * @param {string} [config.endpoint] - Full ingress URL, e.g. a PrivateLink endpoint
+ * @param {string} [config.domain] - Region code (us1, eu2, ...) or full domain (eu2.coralogix.com)
+ * @param {string} [config.protocol='rest'] - 'rest' or 'otlp'
+ * @param {string} [config.endpointType='singles'] - 'singles' or 'bulk', for the rest protocol
  * @returns {string} The full API endpoint URL
  */
-function buildEndpointUrl (domain) {
-  return `https://ingress.${domain}.coralogix.com/logs/v1/singles`
+export function buildEndpointUrl (config) {
+  const path = config.protocol === 'otlp'
+    ? OTLP_PATH
+    : REST_PATHS[config.endpointType] ?? REST_PATHS.singles
+
+  if (config.endpoint) {
+    const url = new URL(config.endpoint)
+    if (url.pathname === '/') {
+      url.pathname = path
+    }
+    return url.toString()
+  }
+
+  const host = config.domain.includes('.')
+    ? `ingress.${config.domain.replace(/^ingress\./, '')}`
+    : `ingress.${config.domain}.coralogix.com`
+  return `https://${host}${path}`
+}
+
+/**
+ * Serializes logs for the configured protocol
+ * @param {Array} logs - Array of Coralogix log objects
+ * @param {Object} config - Configuration object
+ * @returns {Object} { payload, headers } with the request body and protocol headers
+ */
+function encodePayload (logs, config) {
+  if (config.protocol !== 'otlp') {
+    const body = config.endpointType === 'bulk' ? toBulkPayload(logs) : logs
+    return { payload: JSON.stringify(body), headers: { 'Content-Type': 'application/json' } }
+  }
+
+  // Coralogix falls back to these headers when a resource has no cx.* attributes
+  const headers = {
+    'Content-Type': OTLP_CONTENT_TYPES[config.otlpEncoding ?? 'protobuf'],
+    'CX-Application-Name': config.applicationName,
+    'CX-Subsystem-Name': config.subsystemName
+  }
+  return { payload: encodeOtlpLogs(logs, config), headers }
 }
 
 /**
  * Custom error class for HTTP errors
  */
-class HttpError extends Error {
-  constructor (message, statusCode, body) {
+export class HttpError extends Error {
+  constructor (message, statusCode, body, headers = {}) {
     super(message)
     this.name = 'HttpError'
     this.statusCode = statusCode
     this.body = body
+    this.headers = headers
   }
 }
 
@@ -25,18 +91,27 @@ class HttpError extends Error {
  * Sends logs to Coralogix via HTTP POST
  * @param {Array} logs - Array of Coralogix log objects
  * @param {Object} config - Configuration object with domain, apiKey, timeout
- * @returns {Promise<Object>} Response object with success status
+ * @param {string} [config.compression] - 'gzip', 'deflate' or 'none'
+ * @param {number} [config.compressionLevel] - zlib compression level
+ * @param {string} [config.protocol='rest'] - 'rest' (Coralogix JSON) or 'otlp' (OTLP/HTTP)
+ * @param {string} [config.endpointType='singles'] - 'singles' or 'bulk', for the rest protocol
+ * @param {string} [config.otlpEncoding='protobuf'] - 'protobuf' or 'json', for the otlp protocol
+ * @param {Dispatcher} [config.dispatcher] - undici dispatcher, defaults to the global one
+ * @returns {Promise<Object>} Response object with success status, uncompressed bytes and bytes sent
  * @throws {HttpError} If the request fails
  */
 export async function sendLogs (logs, config) {
-  const url = buildEndpointUrl(config.domain)
+  const url = buildEndpointUrl(config)
 
-  const headers = {
-    'Content-Type': 'application/json',
-    Authorization: `Bearer ${config.apiKey}`
-  }
+  const { payload, headers } = encodePayload(logs, config)
+  headers.Authorization = `Bearer ${config.apiKey}`
+  let body = payload
 
-  const body = JSON.stringify(logs)
+  const compress = COMPRESSORS[config.compression]
+  if (compress) {
+    headers['Content-Encoding'] = config.compression
+    body = await compress(payload, { level: config.compressionLevel })
+  }
 
   try {
     const response = await request(url, {
@@ -44,7 +119,8 @@ export async function sendLogs (logs, config) {
       headers,
       body,
       headersTimeout: config.timeout,
-      bodyTimeout: config.timeout
+      bodyTimeout: config.timeout,
+      dispatcher: config.dispatcher
     })
 
     // Read the response body
@@ -52,14 +128,20 @@ export async function sendLogs (logs, config) {
 
     // Check if the response is successful
     if (response.statusCode >= 200 && response.statusCode < 300) {
-      return { success: true, statusCode: response.statusCode }
+      return {
+        success: true,
+        statusCode: response.statusCode,
+        bytes: Buffer.byteLength(payload),
+        sentBytes: Buffer.byteLength(body)
+      }
     }
 
     // Handle error responses
     throw new HttpError(
       `HTTP ${response.statusCode}: ${responseBody}`,
       response.statusCode,
-      responseBody
+      responseBody,
+      response.headers
     )
   } catch (error) {
     // Re-throw HttpError as-is
@@ -68,6 +150,6 @@ export async function sendLogs (logs, config) {
     }
 
     // Wrap other errors
-    throw new Error(`Failed to send logs: ${error.message}`)
+    throw new Error(`Failed to send logs: ${error.message}`, { cause: error })
   }
 }
@@ -1,30 +1,99 @@
+import { resolve } from 'node:path'
+import { setTimeout as sleep } from 'node:timers/promises'
 import build from 'pino-abstract-transport'
 import { transformLog } from './transform.js'
-import { sendLogs } from './http.js'
-import { BatchAccumulator } from './batch.js'
+import { sendLogs, VALID_COMPRESSIONS, VALID_PROTOCOLS } from './http.js'
+import { VALID_OTLP_ENCODINGS } from './otlp.js'
+import { VALID_ENDPOINT_TYPES } from './bulk.js'
+import { BatchAccumulator, VALID_OVERFLOW_POLICIES } from './batch.js'
+import { retry } from './retry.js'
+import { DiskSpool } from './spool.js'
+import { HiResClock } from './time.js'
+import { toSeverity, resolveSeverity } from './severity.js'
+import { createRedactor, VALID_REDACT_MODES } from './redact.js'
+import { createDispatcher } from './dispatcher.js'
+import { fitLog, VALID_OVERSIZE_POLICIES } from './oversize.js'
+import { sendBisecting } from './bisect.js'
+import { TransportStats } from './stats.js'
+import { createSampler } from './sampling.js'
+import { DeadLetterFile, readDeadLetterBatches } from './deadletter.js'
+import { CircuitBreaker, CircuitOpenError, AuthenticationError } from './circuit.js'
+import { EventPublisher, subscribe } from './events.js'
 
-const VALID_DOMAINS = ['us1', 'us2', 'eu1', 'eu2', 'ap1', 'ap2', 'ap3']
+const VALID_DOMAINS = ['us1', 'us2', 'eu1', 'eu2', 'ap1', 'ap2', 'ap3', 'in1', 'cx498']
+
+/**
+ * Matches full domains such as eu2.coralogix.com or coralogix.us
+ */
+const FULL_DOMAIN_PATTERN = /^(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+[a-z]{2,}$/i
+const VALID_TEXT_FORMATS = ['json', 'message']
+const VALID_STACK_FORMATS = ['string', 'lines']
+const VALID_TIMESTAMP_SKEW_ACTIONS = ['flag', 'reject']
 
 const DEFAULT_CONFIG = {
   batchSize: 100,
   flushInterval: 1000,
   timeout: 30000,
   maxRetries: 3,
-  maxBatchSizeBytes: 2 * 1024 * 1024 // 2MB
+  retryBaseDelay: 500,
+  retryMaxDelay: 30000,
+  maxBatchSizeBytes: 2 * 1024 * 1024, // 2MB
+  oversizePolicy: 'truncate',
+  bisect: true,
+  circuitBreaker: true,
+  circuitFailureThreshold: 5,
+  circuitResetTimeout: 30000,
+  maxInFlight: 4,
+  ordered: false,
+  maxBufferedBytes: 64 * 1024 * 1024, // 64MB
+  maxBufferedRecords: 100000,
+  overflowPolicy: 'dropLowestSeverity',
+  protocol: 'rest',
+  endpointType: 'singles',
+  otlpEncoding: 'protobuf',
+  compression: 'none',
+  compressionLevel: 6,
+  textFormat: 'json',
+  messageKey: 'message',
+  errorKeys: ['err', 'error'],
+  stackFormat: 'string',
+  errorLocation: false,
+  hiResTimestamp: false,
+  timeKey: 'time',
+  levelKey: 'level',
+  timestampSkewAction: 'flag',
+  traceContext: true,
+  spanIdAsThreadId: false,
+  spoolMaxBytes: 100 * 1024 * 1024, // 100MB
+  samplingSummaryInterval: 60000
 }
 
+/**
+ * Status codes for which a batch is rejected for its content,
+ * spooling it would only replay the same failure
+ */
+const UNSPOOLABLE_STATUS_CODES = [400, 413]
+
 /**
  * Validates the transport configuration
  * @param {Object} opts - Configuration options
  * @throws {Error} If configuration is invalid
  */
 function validateConfig (opts) {
-  if (!opts.domain) {
+  if (opts.endpoint) {
+    let url
+    try {
+      url = new URL(opts.endpoint)
+    } catch {
+      throw new Error(`Invalid endpoint: ${opts.endpoint}`)
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      throw new Error(`Invalid endpoint: ${opts.endpoint}. Must be an http or https URL`)
+    }
+  } else if (!opts.domain) {
     throw new Error('domain is required')
-  }
-
-  if (!VALID_DOMAINS.includes(opts.domain)) {
-    throw new Error(`Invalid domain: ${opts.domain}. Must be one of: ${VALID_DOMAINS.join(', ')}`)
+  } else if (!VALID_DOMAINS.includes(opts.domain) && !FULL_DOMAIN_PATTERN.test(opts.domain)) {
+    throw new Error(`Invalid domain: ${opts.domain}. Must be one of: ${VALID_DOMAINS.join(', ')} or a full domain such as eu2.coralogix.com`)
   }
 
   if (!opts.apiKey) {
@@ -38,6 +107,86 @@ function validateConfig (opts) {
   if (!opts.subsystemName) {
     throw new Error('subsystemName is required')
   }
+
+  if (opts.proxy && !URL.canParse(opts.proxy)) {
+    throw new Error(`Invalid proxy: ${opts.proxy}`)
+  }
+
+  if (opts.maxInFlight !== undefined && (!Number.isInteger(opts.maxInFlight) || opts.maxInFlight < 1)) {
+    throw new Error(`Invalid maxInFlight: ${opts.maxInFlight}. Must be a positive integer`)
+  }
+
+  for (const name of ['maxBufferedBytes', 'maxBufferedRecords']) {
+    if (opts[name] !== undefined && !(opts[name] > 0)) {
+      throw new Error(`Invalid ${name}: ${opts[name]}. Must be a positive number`)
+    }
+  }
+
+  if (opts.overflowPolicy && !VALID_OVERFLOW_POLICIES.includes(opts.overflowPolicy)) {
+    throw new Error(`Invalid overflowPolicy: ${opts.overflowPolicy}. Must be one of: ${VALID_OVERFLOW_POLICIES.join(', ')}`)
+  }
+
+  if (opts.circuitFailureThreshold !== undefined && (!Number.isInteger(opts.circuitFailureThreshold) || opts.circuitFailureThreshold < 1)) {
+    throw new Error(`Invalid circuitFailureThreshold: ${opts.circuitFailureThreshold}. Must be a positive integer`)
+  }
+
+  if (opts.oversizePolicy && !VALID_OVERSIZE_POLICIES.includes(opts.oversizePolicy)) {
+    throw new Error(`Invalid oversizePolicy: ${opts.oversizePolicy}. Must be one of: ${VALID_OVERSIZE_POLICIES.join(', ')}`)
+  }
+
+  if (opts.protocol && !VALID_PROTOCOLS.includes(opts.protocol)) {
+    throw new Error(`Invalid protocol: ${opts.protocol}. Must be one of: ${VALID_PROTOCOLS.join(', ')}`)
+  }
+
+  if (opts.endpointType && !VALID_ENDPOINT_TYPES.includes(opts.endpointType)) {
+    throw new Error(`Invalid endpointType: ${opts.endpointType}. Must be one of: ${VALID_ENDPOINT_TYPES.join(', ')}`)
+  }
+
+  if (opts.endpointType === 'bulk' && opts.protocol === 'otlp') {
+    throw new Error('endpointType bulk is only available with the rest protocol')
+  }
+
+  if (opts.otlpEncoding && !VALID_OTLP_ENCODINGS.includes(opts.otlpEncoding)) {
+    throw new Error(`Invalid otlpEncoding: ${opts.otlpEncoding}. Must be one of: ${VALID_OTLP_ENCODINGS.join(', ')}`)
+  }
+
+  if (opts.compression && !VALID_COMPRESSIONS.includes(opts.compression)) {
+    throw new Error(`Invalid compression: ${opts.compression}. Must be one of: ${VALID_COMPRESSIONS.join(', ')}`)
+  }
+
+  if (opts.textFormat && !VALID_TEXT_FORMATS.includes(opts.textFormat)) {
+    throw new Error(`Invalid textFormat: ${opts.textFormat}. Must be one of: ${VALID_TEXT_FORMATS.join(', ')}`)
+  }
+
+  if (opts.stackFormat && !VALID_STACK_FORMATS.includes(opts.stackFormat)) {
+    throw new Error(`Invalid stackFormat: ${opts.stackFormat}. Must be one of: ${VALID_STACK_FORMATS.join(', ')}`)
+  }
+
+  if (opts.timestampSkewAction && !VALID_TIMESTAMP_SKEW_ACTIONS.includes(opts.timestampSkewAction)) {
+    throw new Error(`Invalid timestampSkewAction: ${opts.timestampSkewAction}. Must be one of: ${VALID_TIMESTAMP_SKEW_ACTIONS.join(', ')}`)
+  }
+
+  for (const [level, severity] of Object.entries(opts.severityMap ?? {})) {
+    if (toSeverity(severity) === null) {
+      throw new Error(`Invalid severity for level ${level}: ${severity}`)
+    }
+  }
+
+  if (opts.redactMode && !VALID_REDACT_MODES.includes(opts.redactMode)) {
+    throw new Error(`Invalid redactMode: ${opts.redactMode}. Must be one of: ${VALID_REDACT_MODES.join(', ')}`)
+  }
+
+  for (const route of opts.routes ?? []) {
+    if (!route.match || typeof route.match !== 'object') {
+      throw new Error('Each route must have a match object')
+    }
+  }
+
+  for (const rule of opts.severityRanges ?? []) {
+    if (toSeverity(rule.severity) === null) {
+      throw new Error(`Invalid severity in severityRanges: ${rule.severity}`)
+    }
+  }
 }
 
 /**
@@ -54,31 +203,331 @@ async function buildTransport (opts) {
     ...opts
   }
 
+  // Proxy and TLS settings need a dedicated dispatcher, unless one was given
+  const ownDispatcher = config.dispatcher ? null : await createDispatcher(config)
+  if (ownDispatcher) {
+    config.dispatcher = ownDispatcher
+  }
+
+  // Functions cannot cross the worker boundary, events published on a named channel can
+  const events = config.eventChannel ? new EventPublisher(config.eventChannel) : null
+
+  /**
+   * Hands an error to onError and publishes it
+   * @param {Error} error - The error
+   */
+  const notifyError = (error) => {
+    events?.publish('error', { error })
+    if (config.onError) {
+      config.onError(error)
+    }
+  }
+
+  // Aborted when the transport shuts down, to shorten retry delays and stop holding batches while the circuit is open
+  const shutdown = new AbortController()
+
+  // Stops sending during sustained failures instead of piling up doomed requests
+  const breaker = config.circuitBreaker
+    ? new CircuitBreaker({
+      failureThreshold: config.circuitFailureThreshold,
+      resetTimeout: config.circuitResetTimeout,
+      onStateChange: (state, error) => {
+        events?.publish('circuit', { state, reason: error?.message })
+        if (state === 'unauthorized') {
+          const authError = new AuthenticationError(error)
+          console.error(authError.message)
+          notifyError(authError)
+        } else if (state === 'open') {
+          console.error(`Coralogix circuit breaker opened, pausing sends for ${config.circuitResetTimeout}ms:`, error.message)
+        } else if (state === 'closed') {
+          console.error('Coralogix circuit breaker closed, resuming sends')
+        }
+      }
+    })
+    : null
+
+  const stats = new TransportStats(() => ({
+    records: batchAccumulator.size(),
+    bytes: batchAccumulator.bufferedSizeBytes(),
+    inFlight: batchAccumulator.inFlightCount()
+  }), () => breaker?.state ?? 'closed')
+
+  /**
+   * Counts dropped logs and publishes the drop
+   * Sampled and rate limited logs are only counted, their summary log covers them
+   * @param {string} reason - One of DROP_REASONS
+   * @param {number} [count=1] - Number of logs
+   */
+  const recordDrop = (reason, count = 1) => {
+    stats.recordDrop(reason, count)
+    if (reason !== 'sampled' && reason !== 'rateLimited') {
+      events?.publish('drop', { reason, count })
+    }
+  }
+
+  /**
+   * Sends a batch with retries, recording every attempt in the stats
+   * @param {Array} logs - Array of Coralogix log objects
+   * @returns {Promise<Object>} Result of the successful attempt
+   */
+  const sendWithRetries = (logs) => {
+    let attempts = 0
+    return retry(async () => {
+      if (attempts++ > 0) {
+        stats.retries++
+      }
+
+      const start = performance.now()
+      try {
+        const result = await sendLogs(logs, config)
+        stats.recordRequest(result.statusCode, performance.now() - start)
+        stats.recordSent(logs.length, result.sentBytes)
+        return result
+      } catch (error) {
+        stats.recordRequest(error.statusCode ?? 'error', performance.now() - start)
+        throw error
+      }
+    }, config, shutdown.signal)
+  }
+
+  const send = breaker
+    ? (logs) => breaker.call(() => sendWithRetries(logs))
+    : sendWithRetries
+
+  /**
+   * Reports a send failure
+   * @param {Error} error - The error
+   */
+  const reportError = (error) => {
+    stats.recordError(error)
+    console.error('Failed to send logs to Coralogix:', error.message)
+    notifyError(error)
+  }
+
+  // Optional dead-letter file for logs that will never be delivered
+  const deadLetter = config.deadLetterFile ? new DeadLetterFile(config.deadLetterFile) : null
+
+  /**
+   * Gives up on logs, keeping them in the dead-letter file when configured
+   * @param {string} reason - Drop reason, 'rejected' or 'failed'
+   * @param {Array} logs - Array of Coralogix log objects
+   * @param {Error} error - The error that made them fail
+   * @returns {Promise<void>}
+   */
+  const discard = async (reason, logs, error) => {
+    recordDrop(reason, logs.length)
+    if (deadLetter) {
+      try {
+        await deadLetter.write(logs, error)
+        stats.deadLettered += logs.length
+      } catch (deadLetterError) {
+        console.error('Failed to write logs to dead-letter file:', deadLetterError.message)
+      }
+    }
+  }
+
+  // Split batches rejected with 400/413 to isolate the offending logs
+  const sendBatch = config.bisect
+    ? (logs) => sendBisecting(logs, send, (error) => {
+        reportError(error)
+        discard('rejected', error.logs ?? [error.log], error)
+      })
+    : send
+
+  const clock = new HiResClock()
+  const redact = createRedactor(config)
+  const sampler = createSampler(config)
+
+  // Optional disk spool for batches that could not be sent
+  let spool = null
+  if (config.spoolDir) {
+    spool = new DiskSpool({
+      directory: config.spoolDir,
+      maxSegmentBytes: config.maxBatchSizeBytes,
+      maxBytes: config.spoolMaxBytes
+    })
+    await spool.init()
+  }
+
+  /**
+   * Sends a spooled batch, discarding it if Coralogix rejects its content
+   * @param {Array} logs - Array of Coralogix log objects
+   * @returns {Promise<void>}
+   */
+  const sendSpooled = async (logs) => {
+    try {
+      await sendBatch(logs)
+    } catch (error) {
+      if (!UNSPOOLABLE_STATUS_CODES.includes(error.statusCode)) {
+        throw error
+      }
+      reportError(error)
+      await discard('rejected', logs, error)
+    }
+  }
+
+  /**
+   * Sends a batch after the spooled ones
+   * Without a spool, a batch short-circuited by the breaker is held
+   * (keeping its request slot, hence backpressure) until a send may go through
+   * @param {Array} batch - Array of Coralogix log objects
+   * @returns {Promise<void>}
+   */
+  const deliver = async (batch) => {
+    while (true) {
+      try {
+        // Spooled batches go first to preserve ordering
+        if (spool) {
+          await spool.drain(sendSpooled)
+        }
+        await sendBatch(batch)
+        return
+      } catch (error) {
+        if (!(error instanceof CircuitOpenError) || spool || shutdown.signal.aborted) {
+          throw error
+        }
+        batch = error.unsentLogs ?? batch
+        await breaker.waitUntilReady(shutdown.signal)
+      }
+    }
+  }
+
   // Create batch accumulator with flush handler
   const batchAccumulator = new BatchAccumulator({
     batchSize: config.batchSize,
     flushInterval: config.flushInterval,
-    maxBatchSizeBytes: config.maxBatchSizeBytes
+    maxBatchSizeBytes: config.maxBatchSizeBytes,
+    // Strict ordering waits for each batch to be delivered before sending the next one
+    maxInFlight: config.ordered ? 1 : config.maxInFlight,
+    maxBufferedBytes: config.maxBufferedBytes,
+    maxBufferedRecords: config.maxBufferedRecords,
+    overflowPolicy: config.overflowPolicy,
+    endpointType: config.endpointType,
+    // OTLP/JSON batches are sized on their encoded form
+    protocol: config.protocol,
+    otlpEncoding: config.otlpEncoding,
+    messageKey: config.messageKey,
+    resourceAttributes: config.resourceAttributes,
+    onDrop: (count) => {
+      recordDrop('overflow', count)
+      const error = new Error(`Dropped ${count} logs because the buffer was full (overflowPolicy: ${config.overflowPolicy})`)
+      error.droppedCount = count
+      console.error(error.message)
+      notifyError(error)
+    }
   }, async (batch) => {
     try {
-      await sendLogs(batch, config)
+      await deliver(batch)
     } catch (error) {
-      console.error('Failed to send logs to Coralogix:', error.message)
-      // Optionally call error callback if provided
-      if (config.onError) {
-        config.onError(error)
+      if (error instanceof CircuitOpenError) {
+        stats.shortCircuited += (error.unsentLogs ?? batch).length
+      }
+      // Short-circuited batches going to the spool are expected, not worth an error each
+      if (!(error instanceof CircuitOpenError && spool)) {
+        reportError(error)
+      }
+
+      // Only what was not sent yet is lost when a bisected batch fails midway
+      const unsent = error.unsentLogs ?? batch
+
+      if (UNSPOOLABLE_STATUS_CODES.includes(error.statusCode)) {
+        await discard('rejected', unsent, error)
+      } else if (spool) {
+        try {
+          await spool.write(unsent)
+          stats.spooled += unsent.length
+        } catch (spoolError) {
+          console.error('Failed to write logs to spool:', spoolError.message)
+          await discard('failed', unsent, error)
+        }
+      } else {
+        await discard('failed', unsent, error)
       }
     }
   })
 
-  return build(async function (source) {
+  // Replay batches left over from a previous run
+  if (spool) {
+    spool.drain(sendSpooled).catch(reportError)
+  }
+
+  /**
+   * Redacts, transforms and batches a Pino log, recording it as dropped when it cannot be sent
+   * @param {Object} obj - The Pino log object
+   * @returns {boolean} True if flush is needed after adding
+   */
+  const enqueue = (obj) => {
+    // Scrub sensitive data before anything leaves the process
+    if (redact) {
+      obj = redact(obj)
+    }
+
+    // Transform Pino log to Coralogix format
+    const coralogixLog = transformLog(obj, config, clock)
+    if (coralogixLog === null) {
+      recordDrop('timestamp')
+      console.error('Dropping log with out of range timestamp:', obj[config.timeKey])
+      return false
+    }
+
+    // Make sure a single log never exceeds the request size limit
+    const logs = fitLog(
+      coralogixLog,
+      batchAccumulator.maxLogSizeBytes(),
+      config.oversizePolicy,
+      (log) => batchAccumulator.logSizeBytes(log)
+    )
+    if (logs.length === 0) {
+      recordDrop('oversize')
+      const error = new Error(`Dropped oversize log of ${batchAccumulator.logSizeBytes(coralogixLog)} bytes`)
+      console.error(error.message)
+      notifyError(error)
+      return false
+    }
+
+    let needsFlush = false
+    for (const log of logs) {
+      needsFlush = batchAccumulator.add(log)
+    }
+    return needsFlush
+  }
+
+  /**
+   * Adds a summary log of what sampling and rate limiting suppressed since the last summary
+   */
+  const addSamplingSummary = () => {
+    const summary = sampler.takeSummary()
+    if (!summary) {
+      return
+    }
+
+    enqueue({
+      [config.levelKey]: 30,
+      [config.timeKey]: Date.now(),
+      msg: `Suppressed ${summary.total} logs by sampling and rate limiting`,
+      suppressed: summary.bySeverity
+    })
+  }
+
+  let samplingTimer = null
+  if (sampler) {
+    samplingTimer = setInterval(addSamplingSummary, config.samplingSummaryInterval)
+    samplingTimer.unref()
+  }
+
+  let statsTimer = null
+
+  const stream = build(async function (source) {
     try {
       for await (let obj of source) {
+        stats.recordsIn++
+
         // Parse if it's a string (pino-abstract-transport may or may not parse)
         if (typeof obj === 'string') {
           try {
             obj = JSON.parse(obj)
           } catch (err) {
+            recordDrop('parse')
             console.error('Failed to parse log line:', err)
             continue
           }
@@ -89,29 +538,148 @@ async function buildTransport (opts) {
           console.log('Parsed obj:', JSON.stringify(obj, null, 2))
         }
 
-        // Transform Pino log to Coralogix format
-        const coralogixLog = transformLog(obj, config)
+        // Sample and rate limit low severity logs first, so suppressed logs cost as little as possible
+        const suppressedBy = sampler?.check(obj, resolveSeverity(obj[config.levelKey], config))
+        if (suppressedBy) {
+          recordDrop(suppressedBy)
+          continue
+        }
 
-        // Add to batch and check if flush needed
-        const needsFlush = batchAccumulator.add(coralogixLog)
+        // Redact, transform and add to batch
+        const needsFlush = enqueue(obj)
 
-        // Optionally trigger flush if threshold reached
-        if (needsFlush && batchAccumulator.size() >= config.batchSize) {
-          await batchAccumulator.flush()
+        // Optionally trigger flush if threshold reached or the buffer is full
+        if (batchAccumulator.isFull() || needsFlush) {
+          if (config.overflowPolicy === 'block') {
+            // Stop reading from source until there is room (backpressure)
+            await batchAccumulator.flush()
+          } else {
+            batchAccumulator.dispatch()
+          }
         }
       }
     } finally {
       // Ensure all logs are flushed when stream ends
+      if (sampler) {
+        addSamplingSummary()
+      }
+      shutdown.abort()
       await batchAccumulator.stop()
+      await deadLetter?.flushed()
     }
   }, {
     // Pass through parse option from pino-abstract-transport
     parse: 'lines',
     close: async () => {
+      clearInterval(statsTimer)
+      clearInterval(samplingTimer)
+      if (sampler) {
+        addSamplingSummary()
+      }
+      shutdown.abort()
       await batchAccumulator.stop()
+      await deadLetter?.flushed()
+      events?.close()
+      if (ownDispatcher) {
+        await ownDispatcher.close()
+      }
     }
   })
+
+  // Lines that are not valid JSON are reported by pino-abstract-transport and never reach the loop
+  stream.on('unknown', (line, error) => {
+    stats.recordsIn++
+    recordDrop('parse')
+    console.error('Failed to parse log line:', error)
+  })
+
+  /**
+   * Returns a snapshot of the transport statistics
+   * @returns {Object} The statistics
+   */
+  stream.stats = () => stats.snapshot()
+
+  /**
+   * Returns the transport statistics in the Prometheus text format
+   * @returns {string} The metrics
+   */
+  stream.prometheusMetrics = () => stats.toPrometheus()
+
+  // Periodically emit the statistics as 'stats' events
+  if (config.statsInterval) {
+    statsTimer = setInterval(() => {
+      const snapshot = stats.snapshot()
+      stream.emit('stats', snapshot)
+      events?.publish('stats', { stats: snapshot })
+    }, config.statsInterval)
+    statsTimer.unref()
+  }
+
+  return stream
+}
+
+/**
+ * Resends the logs of a dead-letter file to Coralogix
+ * Logs were transformed before being written, so they are sent as is,
+ * in batches, with retries, at most replayRate logs per second
+ * @param {string} file - Path of the dead-letter file
+ * @param {Object} opts - Transport configuration options
+ * @param {number} [opts.replayRate=1000] - Max logs sent per second
+ * @param {string} [opts.deadLetterFile] - Where to write logs that fail again, must differ from file
+ * @returns {Promise<Object>} Counts of logs { sent, failed }
+ * @throws {Error} If configuration is invalid
+ */
+async function replayDeadLetters (file, opts) {
+  validateConfig(opts)
+
+  const config = {
+    ...DEFAULT_CONFIG,
+    replayRate: 1000,
+    ...opts
+  }
+
+  if (config.deadLetterFile && resolve(config.deadLetterFile) === resolve(file)) {
+    throw new Error('deadLetterFile must differ from the replayed file')
+  }
+
+  const ownDispatcher = config.dispatcher ? null : await createDispatcher(config)
+  if (ownDispatcher) {
+    config.dispatcher = ownDispatcher
+  }
+
+  const deadLetter = config.deadLetterFile ? new DeadLetterFile(config.deadLetterFile) : null
+  const result = { sent: 0, failed: 0 }
+
+  try {
+    for await (const logs of readDeadLetterBatches(file, config)) {
+      const start = Date.now()
+
+      try {
+        await retry(() => sendLogs(logs, config), config)
+        result.sent += logs.length
+      } catch (error) {
+        result.failed += logs.length
+        console.error('Failed to replay logs to Coralogix:', error.message)
+        if (config.onError) {
+          config.onError(error)
+        }
+        await deadLetter?.write(logs, error)
+      }
+
+      // Spread batches so the replay stays under replayRate
+      const wait = logs.length * 1000 / config.replayRate - (Date.now() - start)
+      if (wait > 0) {
+        await sleep(wait)
+      }
+    }
+  } finally {
+    if (ownDispatcher) {
+      await ownDispatcher.close()
+    }
+  }
+
+  return result
 }
 
-export { buildTransport as build }
+export { buildTransport as build, replayDeadLetters, subscribe }
 export default buildTransport
@@ -0,0 +1,392 @@
+import { msToNanoseconds } from './time.js'
+import { isTraceId, isSpanId } from './trace.js'
+
+export const VALID_OTLP_ENCODINGS = ['protobuf', 'json']
+
+export const OTLP_CONTENT_TYPES = {
+  protobuf: 'application/x-protobuf',
+  json: 'application/json'
+}
+
+const SCOPE_NAME = 'pino-coralogix'
+
+/**
+ * Bytes an OTLP/JSON request takes around its resource logs
+ */
+export const OTLP_JSON_REQUEST_OVERHEAD_BYTES = Buffer.byteLength('{"resourceLogs":[]}')
+
+/**
+ * OpenTelemetry severity number and text by Coralogix severity
+ * Coralogix debug and verbose hold Pino trace and debug logs by default
+ */
+const OTLP_SEVERITIES = {
+  1: [1, 'TRACE'],
+  2: [5, 'DEBUG'],
+  3: [9, 'INFO'],
+  4: [13, 'WARN'],
+  5: [17, 'ERROR'],
+  6: [21, 'FATAL']
+}
+
+/**
+ * Top-level Coralogix fields kept as log record attributes
+ */
+const FIELD_ATTRIBUTES = {
+  category: 'category',
+  className: 'code.namespace',
+  methodName: 'code.function'
+}
+
+/**
+ * Converts a JSON value to an OTLP AnyValue
+ * @param {*} value - The value
+ * @returns {Object} AnyValue in OTLP/JSON form
+ */
+function toAnyValue (value) {
+  if (typeof value === 'string') {
+    return { stringValue: value }
+  }
+  if (typeof value === 'boolean') {
+    return { boolValue: value }
+  }
+  if (typeof value === 'number') {
+    return Number.isSafeInteger(value) ? { intValue: String(value) } : { doubleValue: value }
+  }
+  if (Array.isArray(value)) {
+    return { arrayValue: { values: value.map(toAnyValue) } }
+  }
+  if (value !== null && typeof value === 'object') {
+    return { kvlistValue: { values: toKeyValues(value) } }
+  }
+  return {}
+}
+
+/**
+ * Converts the fields of an object to OTLP KeyValues
+ * @param {Object} object - The object
+ * @returns {Array} KeyValues in OTLP/JSON form, undefined values are skipped
+ */
+function toKeyValues (object) {
+  return Object.entries(object)
+    .filter(([, value]) => value !== undefined)
+    .map(([key, value]) => ({ key, value: toAnyValue(value) }))
+}
+
+/**
+ * Converts a Coralogix log to an OTLP LogRecord
+ * The message becomes the body, the other fields of a JSON text become attributes
+ * and trace context fields move to traceId, spanId and flags
+ * @param {Object} log - Coralogix log object
+ * @param {Object} config - Transport configuration
+ * @param {string} [config.messageKey='message'] - Key of the message inside the JSON text
+ * @returns {Object} LogRecord in OTLP/JSON form
+ */
+export function toLogRecord (log, config) {
+  const [severityNumber, severityText] = OTLP_SEVERITIES[log.severity] ?? OTLP_SEVERITIES[3]
+  const record = {
+    timeUnixNano: log.hiResTimestamp ?? msToNanoseconds(log.timestamp).toString(),
+    severityNumber,
+    severityText
+  }
+
+  const fields = {}
+  if (typeof log.text === 'string') {
+    record.body = toAnyValue(log.text)
+  } else {
+    const messageKey = config.messageKey ?? 'message'
+    Object.assign(fields, log.text)
+    if (fields[messageKey] !== undefined) {
+      record.body = toAnyValue(fields[messageKey])
+      delete fields[messageKey]
+    }
+
+    if (isTraceId(fields.traceId)) {
+      record.traceId = fields.traceId
+      delete fields.traceId
+      if (isSpanId(fields.spanId)) {
+        record.spanId = fields.spanId
+        delete fields.spanId
+      }
+      if (/^[0-9a-f]{2}$/.test(fields.traceFlags)) {
+        record.flags = parseInt(fields.traceFlags, 16)
+        delete fields.traceFlags
+      }
+    }
+  }
+
+  for (const [field, attribute] of Object.entries(FIELD_ATTRIBUTES)) {
+    if (log[field] !== undefined) {
+      fields[attribute] = log[field]
+    }
+  }
+  if (log.threadId !== undefined) {
+    fields[typeof log.threadId === 'number' ? 'thread.id' : 'thread.name'] = log.threadId
+  }
+
+  record.attributes = toKeyValues(fields)
+  return record
+}
+
+/**
+ * Builds the resource attributes of a group of logs
+ * @param {Object} log - First Coralogix log of the group
+ * @param {Object} config - Transport configuration
+ * @param {Object} [config.resourceAttributes] - Extra resource attributes, may override the defaults
+ * @returns {Object} Resource attributes
+ */
+function resourceAttributes (log, config) {
+  return {
+    'service.name': log.applicationName,
+    'cx.application.name': log.applicationName,
+    'cx.subsystem.name': log.subsystemName,
+    'host.name': log.computerName,
+    ...config.resourceAttributes
+  }
+}
+
+/**
+ * Converts Coralogix logs to an OTLP ExportLogsServiceRequest,
+ * with one resource per application, subsystem and computer name
+ * @param {Array} logs - Array of Coralogix log objects
+ * @param {Object} config - Transport configuration
+ * @returns {Object} ExportLogsServiceRequest in OTLP/JSON form
+ */
+export function toExportLogsRequest (logs, config) {
+  const groups = new Map()
+  for (const log of logs) {
+    const key = JSON.stringify([log.applicationName, log.subsystemName, log.computerName])
+    let group = groups.get(key)
+    if (!group) {
+      group = { first: log, records: [] }
+      groups.set(key, group)
+    }
+    group.records.push(toLogRecord(log, config))
+  }
+
+  return {
+    resourceLogs: [...groups.values()].map(({ first, records }) => toResourceLogs(first, records, config))
+  }
+}
+
+/**
+ * Builds the ResourceLogs of a group of logs
+ * @param {Object} log - First Coralogix log of the group
+ * @param {Array} records - LogRecords of the group
+ * @param {Object} config - Transport configuration
+ * @returns {Object} ResourceLogs in OTLP/JSON form
+ */
+function toResourceLogs (log, records, config) {
+  return {
+    resource: { attributes: toKeyValues(resourceAttributes(log, config)) },
+    scopeLogs: [{ scope: { name: SCOPE_NAME }, logRecords: records }]
+  }
+}
+
+/**
+ * Returns the OTLP/JSON size of a log as a LogRecord
+ * @param {Object} log - Coralogix log object
+ * @param {Object} config - Transport configuration
+ * @returns {number} Size in UTF-8 bytes
+ */
+export function otlpJsonRecordBytes (log, config) {
+  return Buffer.byteLength(JSON.stringify(toLogRecord(log, config)))
+}
+
+/**
+ * Returns the OTLP/JSON size of the ResourceLogs of a log, without its LogRecords
+ * @param {Object} log - Coralogix log object
+ * @param {Object} config - Transport configuration
+ * @returns {number} Size in UTF-8 bytes
+ */
+export function otlpJsonResourceBytes (log, config) {
+  return Buffer.byteLength(JSON.stringify(toResourceLogs(log, [], config)))
+}
+
+/**
+ * Minimal protobuf writer for the OTLP logs messages
+ */
+class ProtobufWriter {
+  constructor () {
+    this.chunks = []
+    this.length = 0
+  }
+
+  push (buffer) {
+    this.chunks.push(buffer)
+    this.length += buffer.length
+  }
+
+  varint (value) {
+    let rest = BigInt.asUintN(64, BigInt(value))
+    const bytes = []
+    while (rest >= 0x80n) {
+      bytes.push(Number(rest & 0x7fn) | 0x80)
+      rest >>= 7n
+    }
+    bytes.push(Number(rest))
+    this.push(Buffer.from(bytes))
+  }
+
+  tag (field, wireType) {
+    this.varint((field << 3) | wireType)
+  }
+
+  lengthDelimited (field, buffer) {
+    this.tag(field, 2)
+    this.varint(buffer.length)
+    this.push(buffer)
+  }
+
+  string (field, value) {
+    this.lengthDelimited(field, Buffer.from(value, 'utf8'))
+  }
+
+  message (field, writer) {
+    this.lengthDelimited(field, writer.finish())
+  }
+
+  fixed64 (field, value) {
+    const buffer = Buffer.alloc(8)
+    buffer.writeBigUInt64LE(BigInt(value))
+    this.tag(field, 1)
+    this.push(buffer)
+  }
+
+  fixed32 (field, value) {
+    const buffer = Buffer.alloc(4)
+    buffer.writeUInt32LE(value)
+    this.tag(field, 5)
+    this.push(buffer)
+  }
+
+  double (field, value) {
+    const buffer = Buffer.alloc(8)
+    buffer.writeDoubleLE(value)
+    this.tag(field, 1)
+    this.push(buffer)
+  }
+
+  finish () {
+    return Buffer.concat(this.chunks, this.length)
+  }
+}
+
+/**
+ * Encodes an AnyValue, the oneof field is written even when it holds a default value
+ * @param {Object} value - AnyValue in OTLP/JSON form
+ * @returns {ProtobufWriter} The encoded message
+ */
+function encodeAnyValue (value) {
+  const writer = new ProtobufWriter()
+  if (value.stringValue !== undefined) {
+    writer.string(1, value.stringValue)
+  } else if (value.boolValue !== undefined) {
+    writer.tag(2, 0)
+    writer.varint(value.boolValue ? 1 : 0)
+  } else if (value.intValue !== undefined) {
+    writer.tag(3, 0)
+    writer.varint(value.intValue)
+  } else if (value.doubleValue !== undefined) {
+    writer.double(4, value.doubleValue)
+  } else if (value.arrayValue) {
+    const array = new ProtobufWriter()
+    for (const item of value.arrayValue.values) {
+      array.message(1, encodeAnyValue(item))
+    }
+    writer.message(5, array)
+  } else if (value.kvlistValue) {
+    const list = new ProtobufWriter()
+    encodeKeyValues(list, 1, value.kvlistValue.values)
+    writer.message(6, list)
+  }
+  return writer
+}
+
+/**
+ * Encodes repeated KeyValues
+ * @param {ProtobufWriter} writer - Parent message
+ * @param {number} field - Field number in the parent message
+ * @param {Array} keyValues - KeyValues in OTLP/JSON form
+ */
+function encodeKeyValues (writer, field, keyValues) {
+  for (const { key, value } of keyValues) {
+    const keyValue = new ProtobufWriter()
+    keyValue.string(1, key)
+    keyValue.message(2, encodeAnyValue(value))
+    writer.message(field, keyValue)
+  }
+}
+
+/**
+ * Encodes a LogRecord
+ * @param {Object} record - LogRecord in OTLP/JSON form
+ * @returns {ProtobufWriter} The encoded message
+ */
+function encodeLogRecord (record) {
+  const writer = new ProtobufWriter()
+  writer.fixed64(1, record.timeUnixNano)
+  writer.tag(2, 0)
+  writer.varint(record.severityNumber)
+  writer.string(3, record.severityText)
+  if (record.body) {
+    writer.message(5, encodeAnyValue(record.body))
+  }
+  encodeKeyValues(writer, 6, record.attributes)
+  if (record.flags) {
+    writer.fixed32(8, record.flags)
+  }
+  if (record.traceId) {
+    writer.lengthDelimited(9, Buffer.from(record.traceId, 'hex'))
+  }
+  if (record.spanId) {
+    writer.lengthDelimited(10, Buffer.from(record.spanId, 'hex'))
+  }
+  return writer
+}
+
+/**
+ * Encodes an ExportLogsServiceRequest in the OTLP protobuf format
+ * @param {Object} request - ExportLogsServiceRequest in OTLP/JSON form
+ * @returns {Buffer} The encoded request
+ */
+export function encodeExportLogsRequest (request) {
+  const writer = new ProtobufWriter()
+
+  for (const { resource, scopeLogs } of request.resourceLogs) {
+    const resourceLogs = new ProtobufWriter()
+
+    const resourceMessage = new ProtobufWriter()
+    encodeKeyValues(resourceMessage, 1, resource.attributes)
+    resourceLogs.message(1, resourceMessage)
+
+    for (const { scope, logRecords } of scopeLogs) {
+      const scopeMessage = new ProtobufWriter()
+      scopeMessage.string(1, scope.name)
+
+      const scopeLogsMessage = new ProtobufWriter()
+      scopeLogsMessage.message(1, scopeMessage)
+      for (const record of logRecords) {
+        scopeLogsMessage.message(2, encodeLogRecord(record))
+      }
+      resourceLogs.message(2, scopeLogsMessage)
+    }
+
+    writer.message(1, resourceLogs)
+  }
+
+  return writer.finish()
+}
+
+/**
+ * Serializes Coralogix logs as an OTLP/HTTP request body
+ * @param {Array} logs - Array of Coralogix log objects
+ * @param {Object} config - Transport configuration
+ * @param {string} [config.otlpEncoding='protobuf'] - 'protobuf' or 'json'
+ * @returns {string|Buffer} The request body
+ */
+export function encodeOtlpLogs (logs, config) {
+  const request = toExportLogsRequest(logs, config)
+  return config.otlpEncoding === 'json'
+    ? JSON.stringify(request)
+    : encodeExportLogsRequest(request)
+}
@@ -0,0 +1,122 @@
+import { randomUUID } from 'node:crypto'
+
+export const VALID_OVERSIZE_POLICIES = ['truncate', 'split', 'drop']
+
+const TRUNCATION_MARKER = '...[truncated]'
+
+/**
+ * Placeholder used for chunk counters while sizing chunks,
+ * so the final (smaller or equal) numbers always fit
+ */
+const COUNTER_PLACEHOLDER = 999999999
+
+/**
+ * Returns the serialized size of a log in UTF-8 bytes
+ * @param {Object} log - The log object
+ * @returns {number} Size in bytes
+ */
+export function byteLength (log) {
+  return Buffer.byteLength(JSON.stringify(log))
+}
+
+/**
+ * Cuts a string without leaving half of a surrogate pair at the end
+ * @param {string} text - The string
+ * @param {number} length - Number of UTF-16 code units to keep
+ * @returns {string} The cut string
+ */
+function cut (text, length) {
+  const code = text.charCodeAt(length - 1)
+  if (code >= 0xd800 && code <= 0xdbff) {
+    length--
+  }
+  return text.slice(0, length)
+}
+
+/**
+ * Finds the longest prefix of text for which build(prefix) fits in maxBytes
+ * @param {string} text - The text to cut
+ * @param {Function} build - Builds the log for a given prefix
+ * @param {number} maxBytes - Max serialized size in bytes
+ * @param {Function} measure - Returns the serialized size of a log
+ * @returns {number} Prefix length in code units, 0 if nothing fits
+ */
+function longestFittingPrefix (text, build, maxBytes, measure) {
+  let low = 0
+  let high = text.length
+
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2)
+    if (measure(build(cut(text, mid))) <= maxBytes) {
+      low = mid
+    } else {
+      high = mid - 1
+    }
+  }
+
+  return cut(text, low).length
+}
+
+/**
+ * Makes a log fit in maxBytes according to the oversize policy
+ * - truncate: cuts the text and appends a marker
+ * - split: splits the text into several logs sharing a chunkId
+ * - drop: drops the log
+ * Logs that cannot fit even with an empty text are dropped
+ * @param {Object} log - Coralogix log object
+ * @param {number} maxBytes - Max serialized size of a single log in bytes
+ * @param {string} [policy='truncate'] - Oversize policy
+ * @param {Function} [measure=byteLength] - Returns the serialized size of a log
+ * @returns {Array} The logs to send, empty if the log was dropped
+ */
+export function fitLog (log, maxBytes, policy = 'truncate', measure = byteLength) {
+  if (measure(log) <= maxBytes) {
+    return [log]
+  }
+
+  if (policy === 'drop') {
+    return []
+  }
+
+  const text = typeof log.text === 'string' ? log.text : JSON.stringify(log.text ?? '')
+
+  if (policy === 'split') {
+    return splitLog(log, text, maxBytes, measure)
+  }
+
+  const build = (prefix) => ({ ...log, text: prefix + TRUNCATION_MARKER })
+  const length = longestFittingPrefix(text, build, maxBytes, measure)
+  if (length === 0 && measure(build('')) > maxBytes) {
+    return []
+  }
+  return [build(text.slice(0, length))]
+}
+
+/**
+ * Splits the text of a log into chunks that each fit in maxBytes
+ * @param {Object} log - Coralogix log object
+ * @param {string} text - The serialized text
+ * @param {number} maxBytes - Max serialized size of a single log in bytes
+ * @param {Function} measure - Returns the serialized size of a log
+ * @returns {Array} Chunk logs, empty if even an empty chunk does not fit
+ */
+function splitLog (log, text, maxBytes, measure) {
+  const chunkId = randomUUID()
+  const build = (chunk, chunkIndex = COUNTER_PLACEHOLDER, chunkCount = COUNTER_PLACEHOLDER) => ({
+    ...log,
+    text: { chunkId, chunkIndex, chunkCount, chunk }
+  })
+
+  const chunks = []
+  let rest = text
+  while (rest.length > 0) {
+    const length = longestFittingPrefix(rest, build, maxBytes, measure)
+    if (length === 0) {
+      return []
+    }
+    chunks.push(rest.slice(0, length))
+    rest = rest.slice(length)
+  }
+
+  return chunks.map((chunk, index) => build(chunk, index, chunks.length))
+}
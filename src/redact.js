@@ -0,0 +1,175 @@
+import { createHash } from 'node:crypto'
+import { traceContextKeys } from './trace.js'
+
+/**
+ * Built-in patterns for scrubbing sensitive values inside strings
+ */
+const BUILTIN_PATTERNS = {
+  email: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g,
+  creditCard: /\b\d(?:[ -]?\d){12,18}\b/g,
+  jwt: /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g,
+  ipv4: /\b(?:(?:25[0-5]|2[0-4]\d|1?\d?\d)\.){3}(?:25[0-5]|2[0-4]\d|1?\d?\d)\b/g,
+  ipv6: /(?:[A-Fa-f0-9]{1,4}:){7}[A-Fa-f0-9]{1,4}|(?:[A-Fa-f0-9]{1,4}:){1,7}:(?:[A-Fa-f0-9]{1,4}(?::[A-Fa-f0-9]{1,4}){0,6})?/g
+}
+
+export const VALID_REDACT_MODES = ['censor', 'hash', 'remove']
+
+/**
+ * Checks a digit sequence with the Luhn algorithm
+ * Used to avoid scrubbing long numbers that are not card numbers
+ * @param {string} value - Candidate card number, may contain spaces or dashes
+ * @returns {boolean} True if the checksum is valid
+ */
+function isLuhnValid (value) {
+  const digits = value.replace(/\D/g, '')
+  let sum = 0
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i])
+    if (i % 2 === 1) {
+      digit *= 2
+      if (digit > 9) digit -= 9
+    }
+    sum += digit
+  }
+  return sum % 10 === 0
+}
+
+/**
+ * Splits a path such as 'req.headers["x-api-key"]' or 'users[*].email' into segments
+ * @param {string} path - The path
+ * @returns {string[]} Path segments, '*' matches any key or index
+ */
+export function parsePath (path) {
+  const segments = []
+  const regex = /([^.[\]]+)|\[(?:"([^"]*)"|'([^']*)'|([^\]]*))\]/g
+  let match
+  while ((match = regex.exec(path)) !== null) {
+    segments.push(match[1] ?? match[2] ?? match[3] ?? match[4])
+  }
+  return segments
+}
+
+/**
+ * Compiles a pattern given as a built-in name, a regex source string
+ * or an object { pattern, flags }
+ * @param {string|Object} pattern - The pattern definition
+ * @returns {Object} Object with regex and name
+ * @throws {Error} If the pattern is invalid
+ */
+function compilePattern (pattern) {
+  if (typeof pattern === 'string' && BUILTIN_PATTERNS[pattern]) {
+    return { name: pattern, regex: BUILTIN_PATTERNS[pattern] }
+  }
+
+  const source = typeof pattern === 'string' ? pattern : pattern?.pattern
+  if (typeof source !== 'string') {
+    throw new Error(`Invalid redact pattern: ${JSON.stringify(pattern)}`)
+  }
+
+  const flags = pattern.flags ?? ''
+  return { name: source, regex: new RegExp(source, flags.includes('g') ? flags : flags + 'g') }
+}
+
+/**
+ * Creates a redaction function from the transport configuration
+ * @param {Object} config - Transport configuration
+ * @param {string[]} [config.redactPaths] - Paths to redact, '*' matches any key
+ * @param {Array} [config.redactPatterns] - Built-in names (email, creditCard, jwt, ipv4, ipv6) or custom regexes
+ * @param {string} [config.redactMode='censor'] - 'censor', 'hash' or 'remove' (paths only, patterns are censored)
+ * @param {string} [config.redactCensor='[REDACTED]'] - Replacement text when censoring
+ * @param {string} [config.redactHashSalt=''] - Salt prepended to values before hashing
+ * @param {string} [config.timeKey='time'] - Time field, never scrubbed by patterns
+ * @param {string} [config.levelKey='level'] - Level field, never scrubbed by patterns
+ * @param {string} [config.hiResTimestampKey] - Nanosecond time field, never scrubbed by patterns
+ * @returns {Function|null} Function redacting a log in place and returning it, or null if nothing is configured
+ * @throws {Error} If a pattern is invalid
+ */
+export function createRedactor (config) {
+  const paths = (config.redactPaths ?? []).map(parsePath)
+  const patterns = (config.redactPatterns ?? []).map(compilePattern)
+
+  if (paths.length === 0 && patterns.length === 0) {
+    return null
+  }
+
+  const mode = config.redactMode ?? 'censor'
+  const censor = config.redactCensor ?? '[REDACTED]'
+  const salt = config.redactHashSalt ?? ''
+
+  // Timestamps and trace ids are long digit or hex strings that patterns such as creditCard would hit
+  const unscrubbedKeys = new Set([
+    config.timeKey ?? 'time',
+    config.levelKey ?? 'level',
+    ...(config.hiResTimestampKey ? [config.hiResTimestampKey] : []),
+    ...traceContextKeys(config)
+  ])
+
+  const replace = (value) => {
+    if (mode !== 'hash') {
+      return censor
+    }
+    const input = typeof value === 'string' ? value : JSON.stringify(value)
+    return 'sha256:' + createHash('sha256').update(salt + input).digest('hex')
+  }
+
+  const scrubString = (value) => {
+    for (const { name, regex } of patterns) {
+      value = value.replace(regex, (match) =>
+        name === 'creditCard' && !isLuhnValid(match) ? match : replace(match)
+      )
+    }
+    return value
+  }
+
+  const scrub = (value) => {
+    if (typeof value === 'string') {
+      return scrubString(value)
+    }
+    if (Array.isArray(value)) {
+      return value.map(scrub)
+    }
+    if (value !== null && typeof value === 'object') {
+      for (const key of Object.keys(value)) {
+        value[key] = scrub(value[key])
+      }
+    }
+    return value
+  }
+
+  const redactPath = (target, segments, index) => {
+    if (target === null || typeof target !== 'object') {
+      return
+    }
+
+    const segment = segments[index]
+    const keys = segment === '*' ? Object.keys(target) : [segment]
+    const last = index === segments.length - 1
+
+    for (const key of keys) {
+      if (!Object.hasOwn(target, key)) {
+        continue
+      }
+      if (!last) {
+        redactPath(target[key], segments, index + 1)
+      } else if (mode === 'remove' && !Array.isArray(target)) {
+        delete target[key]
+      } else {
+        target[key] = replace(target[key])
+      }
+    }
+  }
+
+  return (log) => {
+    if (patterns.length > 0) {
+      for (const key of Object.keys(log)) {
+        if (!unscrubbedKeys.has(key)) {
+          log[key] = scrub(log[key])
+        }
+      }
+    }
+    for (const segments of paths) {
+      redactPath(log, segments, 0)
+    }
+    return log
+  }
+}
@@ -0,0 +1,123 @@
+import { setTimeout as sleep } from 'node:timers/promises'
+
+/**
+ * HTTP status codes that are worth retrying
+ * 408 Request Timeout, 429 Too Many Requests and every 5xx
+ */
+const RETRIABLE_STATUS_CODES = new Set([408, 429])
+
+/**
+ * Status codes for which a Retry-After header is honoured
+ */
+const RETRY_AFTER_STATUS_CODES = new Set([429, 503])
+
+/**
+ * Error thrown when all retry attempts have been exhausted
+ * or the failure is not retriable
+ */
+export class RetryError extends Error {
+  constructor (message, attempts, cause) {
+    super(message, { cause })
+    this.name = 'RetryError'
+    this.attempts = attempts
+    this.statusCode = cause?.statusCode
+  }
+}
+
+/**
+ * Checks whether a failed send should be retried
+ * Errors without a status code are network errors and are always retriable
+ * @param {Error} error - The error thrown by the send
+ * @returns {boolean} True if the error is transient
+ */
+export function isRetriable (error) {
+  const statusCode = error.statusCode
+  if (statusCode === undefined) {
+    return true
+  }
+  return RETRIABLE_STATUS_CODES.has(statusCode) || statusCode >= 500
+}
+
+/**
+ * Parses a Retry-After header value
+ * Accepts either a number of seconds or an HTTP date
+ * @param {string} value - The header value
+ * @returns {number|null} Delay in ms, or null if the header is missing or invalid
+ */
+export function parseRetryAfter (value) {
+  if (value === undefined || value === null || value === '') {
+    return null
+  }
+
+  const seconds = Number(value)
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000)
+  }
+
+  const date = Date.parse(value)
+  if (Number.isNaN(date)) {
+    return null
+  }
+  return Math.max(0, date - Date.now())
+}
+
+/**
+ * Computes the delay before the next attempt
+ * Uses exponential backoff with full jitter, unless the server
+ * asked for a specific delay through Retry-After on 429/503,
+ * which is honoured up to retryMaxDelay
+ * @param {number} attempt - The attempt that just failed (starting at 1)
+ * @param {Error} error - The error thrown by the send
+ * @param {Object} config - Retry configuration
+ * @param {number} config.retryBaseDelay - Base delay in ms
+ * @param {number} config.retryMaxDelay - Upper bound for the backoff and Retry-After delays in ms
+ * @returns {number} Delay in ms
+ */
+export function computeDelay (attempt, error, config) {
+  if (RETRY_AFTER_STATUS_CODES.has(error.statusCode)) {
+    const retryAfter = parseRetryAfter(error.headers?.['retry-after'])
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, config.retryMaxDelay)
+    }
+  }
+
+  const backoff = Math.min(config.retryMaxDelay, config.retryBaseDelay * 2 ** (attempt - 1))
+  return Math.floor(Math.random() * backoff)
+}
+
+/**
+ * Runs an async function, retrying transient failures
+ * @param {Function} fn - Async function to run
+ * @param {Object} config - Retry configuration
+ * @param {number} config.maxRetries - Maximum number of retries after the first attempt
+ * @param {number} config.retryBaseDelay - Base delay in ms
+ * @param {number} config.retryMaxDelay - Upper bound for the backoff delay in ms
+ * @param {AbortSignal} [signal] - Once aborted, e.g. on shutdown, delays are cut to at most retryBaseDelay
+ * @returns {Promise<*>} The result of fn
+ * @throws {RetryError} If the failure is not retriable or retries are exhausted
+ */
+export async function retry (fn, config, signal) {
+  const maxAttempts = config.maxRetries + 1
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn()
+    } catch (error) {
+      if (!isRetriable(error)) {
+        throw new RetryError(`Non-retriable error: ${error.message}`, attempt, error)
+      }
+
+      if (attempt >= maxAttempts) {
+        throw new RetryError(`Giving up after ${attempt} attempts: ${error.message}`, attempt, error)
+      }
+
+      const delay = computeDelay(attempt, error, config)
+      try {
+        await sleep(delay, undefined, { signal })
+      } catch {
+        // Still retry when closing, without waiting out a long backoff or Retry-After
+        await sleep(Math.min(delay, config.retryBaseDelay))
+      }
+    }
+  }
+}
@@ -0,0 +1,115 @@
+/**
+ * Reads a possibly nested field from a log using a dot path
+ * @param {Object} log - The Pino log object
+ * @param {string} path - Field path, e.g. 'req.method'
+ * @returns {*} The field value, or undefined if missing
+ */
+export function getField (log, path) {
+  let value = log
+  for (const part of path.split('.')) {
+    if (value === null || typeof value !== 'object') {
+      return undefined
+    }
+    value = value[part]
+  }
+  return value
+}
+
+/**
+ * Checks if a value can be used as a name
+ * @param {*} value - The value
+ * @returns {boolean} True for non-empty strings and numbers
+ */
+function isNameValue (value) {
+  return (typeof value === 'string' && value.length > 0) || typeof value === 'number'
+}
+
+/**
+ * Fills a template like '{service}-{env}' with fields from the log
+ * @param {string} template - The template
+ * @param {Object} log - The Pino log object
+ * @returns {string|null} The filled template, or null if a field is missing
+ */
+export function renderTemplate (template, log) {
+  let missing = false
+  const rendered = template.replace(/\{([^}]+)\}/g, (_, path) => {
+    const value = getField(log, path.trim())
+    if (!isNameValue(value)) {
+      missing = true
+      return ''
+    }
+    return String(value)
+  })
+  return missing ? null : rendered
+}
+
+/**
+ * Checks if a log matches every condition of a route
+ * A condition value may be a single value or an array of accepted values
+ * @param {Object} log - The Pino log object
+ * @param {Object} match - Map of field path to expected value(s)
+ * @returns {boolean} True if the log matches
+ */
+function matchesRoute (log, match) {
+  return Object.entries(match).every(([path, expected]) => {
+    const value = getField(log, path)
+    return Array.isArray(expected) ? expected.includes(value) : value === expected
+  })
+}
+
+/**
+ * Resolves one name, checking in order: the first matching route,
+ * the configured field, the template and finally the static config value
+ * @param {Object} log - The Pino log object
+ * @param {Object} config - Transport configuration
+ * @param {string} name - 'applicationName' or 'subsystemName'
+ * @returns {string} The resolved name
+ */
+function resolveName (log, config, name) {
+  for (const route of config.routes ?? []) {
+    if (route[name] !== undefined && matchesRoute(log, route.match ?? {})) {
+      const routed = renderTemplate(String(route[name]), log)
+      if (routed !== null) {
+        return routed
+      }
+    }
+  }
+
+  const key = config[`${name}Key`]
+  if (key) {
+    const value = getField(log, key)
+    if (isNameValue(value)) {
+      return String(value)
+    }
+  }
+
+  const template = config[`${name}Template`]
+  if (template) {
+    const rendered = renderTemplate(template, log)
+    if (rendered !== null) {
+      return rendered
+    }
+  }
+
+  return config[name]
+}
+
+/**
+ * Resolves the applicationName and subsystemName of a log
+ * @param {Object} log - The Pino log object
+ * @param {Object} config - Transport configuration
+ * @param {string} config.applicationName - Fallback application name
+ * @param {string} config.subsystemName - Fallback subsystem name
+ * @param {string} [config.applicationNameKey] - Field holding the application name
+ * @param {string} [config.subsystemNameKey] - Field holding the subsystem name
+ * @param {string} [config.applicationNameTemplate] - Template such as '{service}-{env}'
+ * @param {string} [config.subsystemNameTemplate] - Template such as '{module}'
+ * @param {Array} [config.routes] - Rules of the form { match, applicationName, subsystemName }
+ * @returns {Object} Object with applicationName and subsystemName
+ */
+export function resolveNames (log, config) {
+  return {
+    applicationName: resolveName(log, config, 'applicationName'),
+    subsystemName: resolveName(log, config, 'subsystemName')
+  }
+}
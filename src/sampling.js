@@ -0,0 +1,211 @@
+import { SEVERITY, toSeverity } from './severity.js'
+import { getField } from './routing.js'
+
+/**
+ * Logs from this severity up (warn, error, critical) are never sampled or rate limited
+ */
+const MIN_PROTECTED_SEVERITY = SEVERITY.warn
+
+/**
+ * Max number of rate limit buckets kept when keying by a field,
+ * the least recently created ones are evicted beyond it
+ */
+const MAX_BUCKETS = 10000
+
+/**
+ * Max number of distinct rateLimitKey values counted per severity between summaries,
+ * logs with other values are only counted as otherKeys
+ */
+const MAX_SUMMARY_KEYS = 100
+
+const SEVERITY_NAMES = Object.fromEntries(Object.entries(SEVERITY).map(([name, value]) => [value, name]))
+
+/**
+ * Converts the keys of sampleRates or rateLimits to Coralogix severities
+ * @param {Object} rules - Rules keyed by severity name or number
+ * @param {string} option - Option name, for error messages
+ * @returns {Map} Rules keyed by Coralogix severity
+ * @throws {Error} If a key is not a severity or is warn or above
+ */
+function bySeverity (rules, option) {
+  const result = new Map()
+  for (const [key, rule] of Object.entries(rules ?? {})) {
+    const severity = toSeverity(/^\d+$/.test(key) ? Number(key) : key)
+    if (severity === null) {
+      throw new Error(`Invalid severity in ${option}: ${key}`)
+    }
+    if (severity >= MIN_PROTECTED_SEVERITY) {
+      throw new Error(`Invalid severity in ${option}: ${key}. warn, error and critical logs are never sampled`)
+    }
+    result.set(severity, rule)
+  }
+  return result
+}
+
+/**
+ * TokenBucket - Allows rate logs per second with bursts of up to burst logs
+ */
+class TokenBucket {
+  constructor (rate, burst) {
+    this.rate = rate
+    this.burst = burst
+    this.tokens = burst
+    this.updatedAt = Date.now()
+  }
+
+  /**
+   * Takes a token if one is available
+   * @returns {boolean} True if the log is allowed
+   */
+  take () {
+    const now = Date.now()
+    this.tokens = Math.min(this.burst, this.tokens + (now - this.updatedAt) * this.rate / 1000)
+    this.updatedAt = now
+
+    if (this.tokens < 1) {
+      return false
+    }
+    this.tokens--
+    return true
+  }
+}
+
+/**
+ * Sampler - Drops a share of low severity logs and rate limits them,
+ * counting what was suppressed for a periodic summary
+ */
+export class Sampler {
+  /**
+   * Creates a new Sampler
+   * @param {Object} config - Transport configuration
+   * @param {Object} [config.sampleRates] - Share of logs to keep (0-1) by severity, e.g. { verbose: 0.1 }
+   * @param {Object} [config.rateLimits] - Max logs per second by severity, as a number or { rate, burst }
+   * @param {string} [config.rateLimitKey] - Field (dot path) giving each value its own rate limit
+   * @throws {Error} If a rule targets an invalid severity or warn and above
+   */
+  constructor (config) {
+    this.sampleRates = bySeverity(config.sampleRates, 'sampleRates')
+    this.rateLimits = bySeverity(config.rateLimits, 'rateLimits')
+    this.rateLimitKey = config.rateLimitKey
+    this.buckets = new Map()
+    this.suppressed = new Map()
+  }
+
+  /**
+   * Decides whether a log is kept
+   * @param {Object} pinoLog - The Pino log object, used to read rateLimitKey
+   * @param {number} severity - Its Coralogix severity
+   * @returns {string|null} null if the log is kept, otherwise 'sampled' or 'rateLimited'
+   */
+  check (pinoLog, severity) {
+    if (severity >= MIN_PROTECTED_SEVERITY) {
+      return null
+    }
+
+    const rate = this.sampleRates.get(severity)
+    if (rate !== undefined && Math.random() >= rate) {
+      this.count(severity, 'sampled')
+      return 'sampled'
+    }
+
+    const limit = this.rateLimits.get(severity)
+    if (limit !== undefined) {
+      const key = this.rateLimitKey ? String(getField(pinoLog, this.rateLimitKey)) : undefined
+      if (!this.bucket(severity, key, limit).take()) {
+        this.count(severity, 'rateLimited', key)
+        return 'rateLimited'
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Returns the token bucket of a severity and key, creating it if needed
+   * @param {number} severity - Coralogix severity
+   * @param {string} [key] - Value of rateLimitKey
+   * @param {number|Object} limit - Rate per second, or { rate, burst }
+   * @returns {TokenBucket} The bucket
+   */
+  bucket (severity, key, limit) {
+    const id = `${severity}:${key}`
+    let bucket = this.buckets.get(id)
+
+    if (!bucket) {
+      const rate = typeof limit === 'number' ? limit : limit.rate
+      bucket = new TokenBucket(rate, limit.burst ?? rate)
+      if (this.buckets.size >= MAX_BUCKETS) {
+        this.buckets.delete(this.buckets.keys().next().value)
+      }
+      this.buckets.set(id, bucket)
+    }
+    return bucket
+  }
+
+  /**
+   * Counts a suppressed log
+   * @param {number} severity - Coralogix severity
+   * @param {string} reason - 'sampled' or 'rateLimited'
+   * @param {string} [key] - Value of rateLimitKey
+   */
+  count (severity, reason, key) {
+    const name = SEVERITY_NAMES[severity]
+    let counts = this.suppressed.get(name)
+    if (!counts) {
+      counts = { sampled: 0, rateLimited: 0 }
+      this.suppressed.set(name, counts)
+    }
+    counts[reason]++
+
+    if (key !== undefined) {
+      counts.keys ??= new Map()
+      if (counts.keys.has(key) || counts.keys.size < MAX_SUMMARY_KEYS) {
+        counts.keys.set(key, (counts.keys.get(key) ?? 0) + 1)
+      } else {
+        counts.otherKeys = (counts.otherKeys ?? 0) + 1
+      }
+    }
+  }
+
+  /**
+   * Returns the logs suppressed since the last call and resets the counts
+   * Counts by rateLimitKey value are listed as { key, count }, most suppressed first,
+   * so that redaction patterns apply to the values
+   * @returns {Object|null} Counts by severity name and the total, or null if nothing was suppressed
+   */
+  takeSummary () {
+    if (this.suppressed.size === 0) {
+      return null
+    }
+
+    let total = 0
+    const bySeverity = {}
+    for (const [name, counts] of this.suppressed) {
+      total += counts.sampled + counts.rateLimited
+      bySeverity[name] = counts.keys
+        ? {
+            ...counts,
+            keys: [...counts.keys]
+              .sort((a, b) => b[1] - a[1])
+              .map(([key, count]) => ({ key, count }))
+          }
+        : counts
+    }
+    const summary = { total, bySeverity }
+    this.suppressed = new Map()
+    return summary
+  }
+}
+
+/**
+ * Creates a sampler from the transport configuration
+ * @param {Object} config - Transport configuration
+ * @returns {Sampler|null} The sampler, or null if neither sampleRates nor rateLimits is configured
+ * @throws {Error} If a rule targets an invalid severity or warn and above
+ */
+export function createSampler (config) {
+  if (!config.sampleRates && !config.rateLimits) {
+    return null
+  }
+  return new Sampler(config)
+}
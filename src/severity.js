@@ -0,0 +1,98 @@
+/**
+ * Coralogix severity levels by name
+ */
+export const SEVERITY = {
+  debug: 1,
+  verbose: 2,
+  info: 3,
+  warn: 4,
+  error: 5,
+  critical: 6
+}
+
+/**
+ * Default Pino level labels and their numeric values
+ */
+const PINO_LEVELS = {
+  trace: 10,
+  debug: 20,
+  info: 30,
+  warn: 40,
+  error: 50,
+  fatal: 60
+}
+
+/**
+ * Converts a severity given as a number or a name to a Coralogix severity
+ * @param {number|string} value - Severity number (1-6) or name (debug, verbose, info, warn, error, critical)
+ * @returns {number|null} Coralogix severity, or null if the value is invalid
+ */
+export function toSeverity (value) {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && value >= 1 && value <= 6 ? value : null
+  }
+  if (typeof value === 'string') {
+    return SEVERITY[value.toLowerCase()] ?? null
+  }
+  return null
+}
+
+/**
+ * Maps a numeric Pino level to a Coralogix severity by range
+ * Pino levels: trace=10, debug=20, info=30, warn=40, error=50, fatal=60
+ * Coralogix severity: Debug=1, Verbose=2, Info=3, Warn=4, Error=5, Critical=6
+ * Custom levels fall in the range of the closest default level below them,
+ * e.g. notice=32 and audit=35 map to Info, security=55 maps to Error
+ * @param {number} level - Numeric Pino level
+ * @returns {number} Coralogix severity
+ */
+function defaultSeverity (level) {
+  if (level < PINO_LEVELS.debug) return SEVERITY.debug // trace -> debug
+  if (level < PINO_LEVELS.info) return SEVERITY.verbose // debug -> verbose
+  if (level < PINO_LEVELS.warn) return SEVERITY.info
+  if (level < PINO_LEVELS.error) return SEVERITY.warn
+  if (level < PINO_LEVELS.fatal) return SEVERITY.error
+  return SEVERITY.critical // fatal -> critical
+}
+
+/**
+ * Resolves the Coralogix severity of a Pino level
+ * Checks in order: severityMap (by number or label), severityRanges,
+ * then the default ranges. Labels of default Pino levels are understood
+ * when formatters.level emits labels instead of numbers
+ * @param {number|string} level - Pino level, numeric or label
+ * @param {Object} config - Transport configuration
+ * @param {Object} [config.severityMap] - Map of level number or label to severity
+ * @param {Array} [config.severityRanges] - Rules of the form { min, max, severity }, bounds inclusive
+ * @returns {number} Coralogix severity
+ */
+export function resolveSeverity (level, config) {
+  const mapped = config.severityMap?.[level]
+  if (mapped !== undefined) {
+    return toSeverity(mapped) ?? SEVERITY.info
+  }
+
+  let numeric = level
+  if (typeof level === 'string') {
+    numeric = PINO_LEVELS[level.toLowerCase()] ?? (/^\d+$/.test(level) ? Number(level) : undefined)
+    if (numeric !== undefined && config.severityMap?.[numeric] !== undefined) {
+      return toSeverity(config.severityMap[numeric]) ?? SEVERITY.info
+    }
+  }
+
+  if (typeof numeric !== 'number' || Number.isNaN(numeric)) {
+    return SEVERITY.info
+  }
+
+  if (config.severityRanges) {
+    const rule = config.severityRanges.find((rule) =>
+      (rule.min === undefined || numeric >= rule.min) &&
+      (rule.max === undefined || numeric <= rule.max)
+    )
+    if (rule) {
+      return toSeverity(rule.severity) ?? SEVERITY.info
+    }
+  }
+
+  return defaultSeverity(numeric)
+}
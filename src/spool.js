@@ -0,0 +1,189 @@
+import { mkdir, readdir, readFile, rename, stat, unlink, writeFile } from 'node:fs/promises'
+import { join } from 'node:path'
+
+const SEGMENT_EXTENSION = '.ndjson'
+
+/**
+ * DiskSpool - Persists batches that could not be sent as NDJSON segment files
+ * and replays them in order once Coralogix is reachable again
+ */
+export class DiskSpool {
+  /**
+   * Creates a new DiskSpool
+   * @param {Object} config - Configuration options
+   * @param {string} config.directory - Directory holding the segment files
+   * @param {number} config.maxSegmentBytes - Max size of a single segment file in bytes
+   * @param {number} config.maxBytes - Max total size of the spool in bytes, oldest segments are dropped beyond it
+   */
+  constructor (config) {
+    this.config = config
+    this.sequence = 0
+    this.draining = null
+  }
+
+  /**
+   * Creates the spool directory if needed
+   * @returns {Promise<void>}
+   */
+  async init () {
+    await mkdir(this.config.directory, { recursive: true })
+  }
+
+  /**
+   * Lists segment files, oldest first
+   * @returns {Promise<string[]>} Segment file names
+   */
+  async segments () {
+    const files = await readdir(this.config.directory)
+    return files.filter((file) => file.endsWith(SEGMENT_EXTENSION)).sort()
+  }
+
+  /**
+   * Returns the total size of all segments in bytes
+   * @returns {Promise<number>} Size in bytes
+   */
+  async sizeBytes () {
+    let total = 0
+    for (const file of await this.segments()) {
+      total += (await stat(join(this.config.directory, file))).size
+    }
+    return total
+  }
+
+  /**
+   * Writes a batch to disk, splitting it into segments of at most maxSegmentBytes
+   * @param {Array} batch - Array of Coralogix log objects
+   * @returns {Promise<void>}
+   */
+  async write (batch) {
+    let lines = []
+    let bytes = 0
+
+    for (const log of batch) {
+      const line = JSON.stringify(log) + '\n'
+      const lineBytes = Buffer.byteLength(line)
+
+      if (lines.length > 0 && bytes + lineBytes > this.config.maxSegmentBytes) {
+        await this.writeSegment(lines.join(''))
+        lines = []
+        bytes = 0
+      }
+
+      lines.push(line)
+      bytes += lineBytes
+    }
+
+    if (lines.length > 0) {
+      await this.writeSegment(lines.join(''))
+    }
+
+    await this.enforceMaxBytes()
+  }
+
+  /**
+   * Writes a single segment atomically (write to a temp file, then rename)
+   * @param {string} content - NDJSON content
+   * @returns {Promise<void>}
+   */
+  async writeSegment (content) {
+    // Zero-padded names keep lexical order equal to write order across restarts
+    const name = `${String(Date.now()).padStart(15, '0')}-${String(this.sequence++).padStart(9, '0')}`
+    const tmpPath = join(this.config.directory, `${name}.tmp`)
+
+    await writeFile(tmpPath, content)
+    await rename(tmpPath, join(this.config.directory, name + SEGMENT_EXTENSION))
+  }
+
+  /**
+   * Replaces the content of an existing segment atomically
+   * @param {string} path - Segment file path
+   * @param {Array} logs - Logs to keep in the segment
+   * @returns {Promise<void>}
+   */
+  async rewriteSegment (path, logs) {
+    const tmpPath = path.replace(new RegExp(`${SEGMENT_EXTENSION}$`), '.tmp')
+    await writeFile(tmpPath, logs.map((log) => JSON.stringify(log) + '\n').join(''))
+    await rename(tmpPath, path)
+  }
+
+  /**
+   * Drops the oldest segments until the spool fits in maxBytes
+   * @returns {Promise<void>}
+   */
+  async enforceMaxBytes () {
+    const files = await this.segments()
+    const sizes = []
+    let total = 0
+
+    for (const file of files) {
+      const size = (await stat(join(this.config.directory, file))).size
+      sizes.push(size)
+      total += size
+    }
+
+    let dropped = 0
+    while (total > this.config.maxBytes && dropped < files.length - 1) {
+      await unlink(join(this.config.directory, files[dropped]))
+      total -= sizes[dropped]
+      dropped++
+    }
+
+    if (dropped > 0) {
+      console.error(`Spool exceeded ${this.config.maxBytes} bytes, dropped ${dropped} oldest segment(s)`)
+    }
+  }
+
+  /**
+   * Sends every spooled segment in order, deleting each one once sent
+   * Stops at the first failure, leaving the remaining segments on disk
+   * Concurrent calls share the same drain
+   * @param {Function} send - Async function receiving an array of logs
+   * @returns {Promise<void>}
+   * @throws {Error} The error thrown by send
+   */
+  drain (send) {
+    if (!this.draining) {
+      this.draining = this.drainSegments(send).finally(() => {
+        this.draining = null
+      })
+    }
+    return this.draining
+  }
+
+  /**
+   * Sends segments one by one
+   * @param {Function} send - Async function receiving an array of logs
+   * @returns {Promise<void>}
+   */
+  async drainSegments (send) {
+    for (const file of await this.segments()) {
+      const path = join(this.config.directory, file)
+      const content = await readFile(path, 'utf8')
+      const logs = []
+
+      for (const line of content.split('\n')) {
+        if (line.length === 0) {
+          continue
+        }
+        try {
+          logs.push(JSON.parse(line))
+        } catch (err) {
+          console.error(`Skipping corrupt line in spool segment ${file}:`, err.message)
+        }
+      }
+
+      if (logs.length > 0) {
+        try {
+          await send(logs)
+        } catch (error) {
+          // Keep only the logs that were not sent when part of the segment went through
+          if (error.unsentLogs && error.unsentLogs.length < logs.length) {
+            await this.rewriteSegment(path, error.unsentLogs)
+          }
+          throw error
+        }
+      }
+      await unlink(path)
+    }
+  }
+}
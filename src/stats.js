@@ -0,0 +1,167 @@
+/**
+ * Upper bounds of the request latency histogram buckets in ms
+ */
+const LATENCY_BUCKETS_MS = [5, 10, 25, 50, 100, 250, 500, 1000, 2500, 5000, 10000]
+
+/**
+ * Reasons for which a log can be dropped
+ */
+export const DROP_REASONS = ['parse', 'timestamp', 'sampled', 'rateLimited', 'oversize', 'overflow', 'rejected', 'failed']
+
+const METRIC_PREFIX = 'coralogix_transport'
+
+/**
+ * TransportStats - Counters and latency histogram of the transport
+ */
+export class TransportStats {
+  /**
+   * Creates a new TransportStats
+   * @param {Function} [getBuffer] - Returns the current { records, bytes, inFlight } of the buffer
+   * @param {Function} [getCircuitState] - Returns the current circuit breaker state
+   */
+  constructor (getBuffer = () => ({ records: 0, bytes: 0, inFlight: 0 }), getCircuitState = () => 'closed') {
+    this.getBuffer = getBuffer
+    this.getCircuitState = getCircuitState
+    this.recordsIn = 0
+    this.recordsSent = 0
+    this.bytesSent = 0
+    this.batchesSent = 0
+    this.retries = 0
+    this.spooled = 0
+    this.deadLettered = 0
+    this.shortCircuited = 0
+    this.statusCodes = {}
+    this.dropped = Object.fromEntries(DROP_REASONS.map((reason) => [reason, 0]))
+    this.latencyBuckets = LATENCY_BUCKETS_MS.map(() => 0)
+    this.latencySum = 0
+    this.latencyCount = 0
+    this.lastSuccessAt = null
+    this.lastErrorAt = null
+    this.lastError = null
+  }
+
+  /**
+   * Records the outcome of a single HTTP request
+   * @param {number|string} status - HTTP status code, or 'error' for network errors
+   * @param {number} durationMs - Request duration in ms
+   */
+  recordRequest (status, durationMs) {
+    this.statusCodes[status] = (this.statusCodes[status] ?? 0) + 1
+    this.latencySum += durationMs
+    this.latencyCount++
+
+    const index = LATENCY_BUCKETS_MS.findIndex((bound) => durationMs <= bound)
+    if (index !== -1) {
+      this.latencyBuckets[index]++
+    }
+  }
+
+  /**
+   * Records a batch accepted by Coralogix
+   * @param {number} records - Number of logs in the batch
+   * @param {number} bytes - Bytes sent on the wire
+   */
+  recordSent (records, bytes) {
+    this.recordsSent += records
+    this.bytesSent += bytes
+    this.batchesSent++
+    this.lastSuccessAt = Date.now()
+  }
+
+  /**
+   * Records dropped logs
+   * @param {string} reason - One of DROP_REASONS
+   * @param {number} [count=1] - Number of logs
+   */
+  recordDrop (reason, count = 1) {
+    this.dropped[reason] += count
+  }
+
+  /**
+   * Records a send failure
+   * @param {Error} error - The error
+   */
+  recordError (error) {
+    this.lastErrorAt = Date.now()
+    this.lastError = error.message
+  }
+
+  /**
+   * Returns a plain object snapshot of all statistics
+   * @returns {Object} The statistics
+   */
+  snapshot () {
+    let cumulative = 0
+    const buckets = {}
+    LATENCY_BUCKETS_MS.forEach((bound, index) => {
+      cumulative += this.latencyBuckets[index]
+      buckets[bound] = cumulative
+    })
+    buckets['+Inf'] = this.latencyCount
+
+    return {
+      recordsIn: this.recordsIn,
+      recordsSent: this.recordsSent,
+      bytesSent: this.bytesSent,
+      batchesSent: this.batchesSent,
+      retries: this.retries,
+      spooled: this.spooled,
+      deadLettered: this.deadLettered,
+      shortCircuited: this.shortCircuited,
+      circuitState: this.getCircuitState(),
+      statusCodes: { ...this.statusCodes },
+      dropped: { ...this.dropped },
+      buffer: this.getBuffer(),
+      latency: { buckets, sum: this.latencySum, count: this.latencyCount },
+      lastSuccessAt: this.lastSuccessAt,
+      lastErrorAt: this.lastErrorAt,
+      lastError: this.lastError
+    }
+  }
+
+  /**
+   * Renders the statistics in the Prometheus text exposition format
+   * @returns {string} The metrics
+   */
+  toPrometheus () {
+    const stats = this.snapshot()
+    const lines = []
+
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP ${METRIC_PREFIX}_${name} ${help}`)
+      lines.push(`# TYPE ${METRIC_PREFIX}_${name} ${type}`)
+      for (const [labels, value] of samples) {
+        lines.push(`${METRIC_PREFIX}_${name}${labels} ${value}`)
+      }
+    }
+
+    metric('records_in_total', 'counter', 'Logs received from Pino', [['', stats.recordsIn]])
+    metric('records_sent_total', 'counter', 'Logs accepted by Coralogix', [['', stats.recordsSent]])
+    metric('bytes_sent_total', 'counter', 'Request body bytes accepted by Coralogix', [['', stats.bytesSent]])
+    metric('batches_sent_total', 'counter', 'Batches accepted by Coralogix', [['', stats.batchesSent]])
+    metric('retries_total', 'counter', 'Retried requests', [['', stats.retries]])
+    metric('records_spooled_total', 'counter', 'Logs written to the disk spool', [['', stats.spooled]])
+    metric('records_dead_lettered_total', 'counter', 'Logs written to the dead-letter file', [['', stats.deadLettered]])
+    metric('records_short_circuited_total', 'counter', 'Logs not sent because the circuit breaker was open', [['', stats.shortCircuited]])
+    metric('circuit_open', 'gauge', 'Whether the circuit breaker stops sends (open, halfOpen or unauthorized)',
+      [['', stats.circuitState === 'closed' ? 0 : 1]])
+    metric('requests_total', 'counter', 'HTTP requests by status code',
+      Object.entries(stats.statusCodes).map(([status, count]) => [`{status="${status}"}`, count]))
+    metric('records_dropped_total', 'counter', 'Dropped logs by reason',
+      Object.entries(stats.dropped).map(([reason, count]) => [`{reason="${reason}"}`, count]))
+    metric('buffered_records', 'gauge', 'Logs waiting to be sent', [['', stats.buffer.records]])
+    metric('buffered_bytes', 'gauge', 'Bytes of logs waiting to be sent', [['', stats.buffer.bytes]])
+    metric('requests_in_flight', 'gauge', 'Batches being sent', [['', stats.buffer.inFlight]])
+    metric('request_duration_seconds', 'histogram', 'HTTP request duration', [
+      ...Object.entries(stats.latency.buckets).map(([bound, count]) => [
+        `_bucket{le="${bound === '+Inf' ? bound : bound / 1000}"}`, count
+      ]),
+      ['_sum', stats.latency.sum / 1000],
+      ['_count', stats.latency.count]
+    ])
+    metric('last_success_timestamp_seconds', 'gauge', 'Time of the last accepted batch',
+      [['', stats.lastSuccessAt === null ? 0 : stats.lastSuccessAt / 1000]])
+
+    return lines.join('\n') + '\n'
+  }
+}
@@ -0,0 +1,119 @@
+const NS_PER_MS = 1000000n
+
+/**
+ * Converts epoch milliseconds (possibly fractional) to epoch nanoseconds
+ * @param {number} ms - Epoch milliseconds
+ * @returns {bigint} Epoch nanoseconds
+ */
+export function msToNanoseconds (ms) {
+  const whole = Math.floor(ms)
+  const fraction = Math.round((ms - whole) * 1e6)
+  return BigInt(whole) * NS_PER_MS + BigInt(fraction)
+}
+
+/**
+ * HiResClock - Produces nanosecond timestamps that keep the arrival order
+ * of records logged within the same millisecond
+ */
+export class HiResClock {
+  constructor () {
+    this.last = -1n
+  }
+
+  /**
+   * Returns a nanosecond timestamp for a record
+   * If the record falls in the same millisecond as the previous one and is not
+   * after it, it is placed one nanosecond after the previous record
+   * @param {bigint} ns - Epoch nanoseconds derived from the record
+   * @returns {bigint} Epoch nanoseconds
+   */
+  next (ns) {
+    if (ns <= this.last && ns / NS_PER_MS === this.last / NS_PER_MS) {
+      ns = this.last + 1n
+    }
+    this.last = ns
+    return ns
+  }
+}
+
+/**
+ * Parses a nanosecond value supplied in a log field
+ * @param {*} value - Nanoseconds as a digit string, number or bigint
+ * @returns {bigint|null} Epoch nanoseconds, or null if the value is invalid
+ */
+export function parseNanoseconds (value) {
+  if (typeof value === 'bigint') {
+    return value
+  }
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return BigInt(Math.floor(value))
+  }
+  if (typeof value === 'string' && /^\d+$/.test(value)) {
+    return BigInt(value)
+  }
+  return null
+}
+
+/**
+ * Upper bounds used to guess the unit of a numeric epoch timestamp
+ * Seconds stay below 1e11 until the year 5138, milliseconds below 1e14, microseconds below 1e17
+ */
+const MAX_SECONDS = 1e11
+const MAX_MILLISECONDS = 1e14
+const MAX_MICROSECONDS = 1e17
+
+/**
+ * Normalizes any Pino timestamp to epoch milliseconds
+ * Accepts epoch seconds, milliseconds, microseconds or nanoseconds
+ * (as numbers or digit strings) and ISO-8601 strings
+ * @param {*} value - The timestamp value from the log
+ * @returns {number|null} Epoch milliseconds, or null if the value is missing or invalid
+ */
+export function normalizeTime (value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) && value > 0 ? scaleToMilliseconds(value) : null
+  }
+
+  if (typeof value !== 'string' || value.length === 0) {
+    return null
+  }
+
+  // Nanosecond strings lose precision as numbers, scale them as bigint
+  if (isNanosecondString(value)) {
+    return Number(BigInt(value) / 1000n) / 1000
+  }
+
+  if (/^\d+(\.\d+)?$/.test(value)) {
+    return scaleToMilliseconds(Number(value))
+  }
+
+  const parsed = Date.parse(value)
+  return Number.isNaN(parsed) ? null : parsed
+}
+
+/**
+ * Scales an epoch value of unknown unit to milliseconds based on its magnitude
+ * @param {number} value - Epoch value
+ * @returns {number} Epoch milliseconds
+ */
+function scaleToMilliseconds (value) {
+  if (value < MAX_SECONDS) {
+    return value * 1000
+  }
+  if (value < MAX_MILLISECONDS) {
+    return value
+  }
+  if (value < MAX_MICROSECONDS) {
+    return value / 1e3
+  }
+  return value / 1e6
+}
+
+/**
+ * Checks if a value is an epoch nanosecond digit string
+ * @param {*} value - The timestamp value from the log
+ * @returns {boolean} True if the value holds nanoseconds
+ */
+export function isNanosecondString (value) {
+  return typeof value === 'string' && /^\d+$/.test(value) && Number(value) >= MAX_MICROSECONDS
+}
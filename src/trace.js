@@ -0,0 +1,161 @@
+/**
+ * Fields searched when the matching *Key option is not configured,
+ * covering @opentelemetry/instrumentation-pino and camelCase loggers
+ */
+const DEFAULT_KEYS = {
+  traceId: ['trace_id', 'traceId'],
+  spanId: ['span_id', 'spanId'],
+  traceFlags: ['trace_flags', 'traceFlags'],
+  traceparent: ['traceparent']
+}
+
+const TRACE_ID_PATTERN = /^[0-9a-f]{32}$/
+const SPAN_ID_PATTERN = /^[0-9a-f]{16}$/
+const TRACE_FLAGS_PATTERN = /^[0-9a-f]{2}$/
+
+/**
+ * W3C traceparent header: version-traceId-spanId-flags
+ */
+const TRACEPARENT_PATTERN = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/
+
+/**
+ * Normalizes a trace or span id
+ * @param {*} value - Raw field value
+ * @param {RegExp} pattern - Expected lowercase hex format
+ * @returns {string|null} Lowercase hex id, or null if invalid or all zeros
+ */
+function normalizeId (value, pattern) {
+  if (typeof value !== 'string') {
+    return null
+  }
+  const id = value.toLowerCase()
+  return pattern.test(id) && /[^0]/.test(id) ? id : null
+}
+
+/**
+ * Checks if a value is a valid lowercase trace id
+ * @param {*} value - The value
+ * @returns {boolean} True for 32 lowercase hex digits, not all zeros
+ */
+export function isTraceId (value) {
+  return normalizeId(value, TRACE_ID_PATTERN) === value
+}
+
+/**
+ * Checks if a value is a valid lowercase span id
+ * @param {*} value - The value
+ * @returns {boolean} True for 16 lowercase hex digits, not all zeros
+ */
+export function isSpanId (value) {
+  return normalizeId(value, SPAN_ID_PATTERN) === value
+}
+
+/**
+ * Normalizes trace flags given as a hex string or a number
+ * @param {*} value - Raw field value
+ * @returns {string|null} Two lowercase hex digits, or null if invalid
+ */
+function normalizeFlags (value) {
+  if (Number.isInteger(value) && value >= 0 && value <= 0xff) {
+    return value.toString(16).padStart(2, '0')
+  }
+  if (typeof value === 'string' && TRACE_FLAGS_PATTERN.test(value.toLowerCase())) {
+    return value.toLowerCase()
+  }
+  return null
+}
+
+/**
+ * Parses a W3C traceparent value
+ * @param {*} value - Raw field value
+ * @returns {Object|null} { traceId, spanId, traceFlags }, or null if invalid
+ */
+function parseTraceparent (value) {
+  const match = typeof value === 'string' && TRACEPARENT_PATTERN.exec(value.trim().toLowerCase())
+  if (!match || match[1] === 'ff' || (match[1] === '00' && match[5])) {
+    return null
+  }
+
+  const traceId = normalizeId(match[2], TRACE_ID_PATTERN)
+  const spanId = normalizeId(match[3], SPAN_ID_PATTERN)
+  if (!traceId || !spanId) {
+    return null
+  }
+  return { traceId, spanId, traceFlags: match[4] }
+}
+
+/**
+ * Returns every field the trace context may be read from
+ * @param {Object} config - Transport configuration
+ * @returns {string[]} Field names, empty when traceContext is false
+ */
+export function traceContextKeys (config) {
+  if (config.traceContext === false) {
+    return []
+  }
+  return Object.keys(DEFAULT_KEYS).flatMap((name) =>
+    config[`${name}Key`] ? [config[`${name}Key`]] : DEFAULT_KEYS[name]
+  )
+}
+
+/**
+ * Finds the first field holding a valid value
+ * @param {Object} pinoLog - The Pino log object
+ * @param {Object} config - Transport configuration
+ * @param {string} name - traceId, spanId, traceFlags or traceparent
+ * @param {Function} normalize - Returns the normalized value or null
+ * @returns {Object|null} { key, value }, or null if no field is valid
+ */
+function findField (pinoLog, config, name, normalize) {
+  const keys = config[`${name}Key`] ? [config[`${name}Key`]] : DEFAULT_KEYS[name]
+  for (const key of keys) {
+    const value = normalize(pinoLog[key])
+    if (value !== null) {
+      return { key, value }
+    }
+  }
+  return null
+}
+
+/**
+ * Extracts the W3C trace context of a log
+ * Separate trace and span id fields win over a traceparent field,
+ * a span id without a trace id is ignored since it cannot be linked
+ * @param {Object} pinoLog - The Pino log object
+ * @param {Object} config - Transport configuration
+ * @param {boolean} [config.traceContext=true] - Set to false to leave trace fields untouched
+ * @param {string} [config.traceIdKey] - Field holding the trace id
+ * @param {string} [config.spanIdKey] - Field holding the span id
+ * @param {string} [config.traceFlagsKey] - Field holding the trace flags
+ * @param {string} [config.traceparentKey] - Field holding a traceparent value
+ * @returns {Object|null} { traceId, spanId?, traceFlags?, keys } where keys are the fields read, or null
+ */
+export function extractTraceContext (pinoLog, config) {
+  if (config.traceContext === false) {
+    return null
+  }
+
+  const traceId = findField(pinoLog, config, 'traceId', (value) => normalizeId(value, TRACE_ID_PATTERN))
+  if (traceId) {
+    const context = { traceId: traceId.value, keys: [traceId.key] }
+
+    const spanId = findField(pinoLog, config, 'spanId', (value) => normalizeId(value, SPAN_ID_PATTERN))
+    if (spanId) {
+      context.spanId = spanId.value
+      context.keys.push(spanId.key)
+    }
+
+    const traceFlags = findField(pinoLog, config, 'traceFlags', normalizeFlags)
+    if (traceFlags) {
+      context.traceFlags = traceFlags.value
+      context.keys.push(traceFlags.key)
+    }
+    return context
+  }
+
+  const traceparent = findField(pinoLog, config, 'traceparent', parseTraceparent)
+  if (traceparent) {
+    return { ...traceparent.value, keys: [traceparent.key] }
+  }
+  return null
+}
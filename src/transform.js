@@ -1,30 +1,70 @@
+import { serializeError, parseTopFrame } from './errors.js'
+import { resolveSeverity } from './severity.js'
+import { resolveNames } from './routing.js'
+import { extractTraceContext } from './trace.js'
+import { msToNanoseconds, parseNanoseconds, normalizeTime, isNanosecondString } from './time.js'
+
 /**
- * Maps Pino log levels to Coralogix severity levels
- * Pino levels: trace=10, debug=20, info=30, warn=40, error=50, fatal=60
- * Coralogix severity: Debug=1, Verbose=2, Info=3, Warn=4, Error=5, Critical=6
+ * Fields holding errors when errorKeys is not configured
  */
-const LEVEL_TO_SEVERITY = {
-  10: 1, // trace -> debug
-  20: 2, // debug -> verbose
-  30: 3, // info -> info
-  40: 4, // warn -> warn
-  50: 5, // error -> error
-  60: 6  // fatal -> critical
-}
+const DEFAULT_ERROR_KEYS = ['err', 'error']
+
+/**
+ * Pino fields that are mapped to top-level Coralogix fields
+ * and therefore never repeated inside a structured text
+ */
+const MAPPED_FIELDS = new Set([
+  'msg',
+  'hostname',
+  'category',
+  'className',
+  'methodName',
+  'threadId'
+])
 
 /**
  * Transforms a Pino log object to Coralogix log format
  * @param {Object} pinoLog - The Pino log object
  * @param {Object} config - Transport configuration
- * @returns {Object} Coralogix log object
+ * @param {HiResClock} [clock] - Clock keeping hiResTimestamp order within a millisecond
+ * @returns {Object|null} Coralogix log object, or null if the log is rejected for its timestamp
  */
-export function transformLog (pinoLog, config) {
+export function transformLog (pinoLog, config, clock) {
+  const receivedAt = Date.now()
+  const rawTime = pinoLog[getTimeKey(config)]
+
+  // Fall back to the receive time when Pino timestamps are disabled or unreadable
+  let timestamp = normalizeTime(rawTime) ?? receivedAt
+
+  const skewed = config.maxTimestampSkew !== undefined &&
+    Math.abs(timestamp - receivedAt) > config.maxTimestampSkew
+
+  if (skewed) {
+    if (config.timestampSkewAction === 'reject') {
+      return null
+    }
+    timestamp = receivedAt
+  }
+
+  const { applicationName, subsystemName } = resolveNames(pinoLog, config)
+  const trace = extractTraceContext(pinoLog, config)
+
   const coralogixLog = {
-    timestamp: pinoLog.time,
-    applicationName: config.applicationName,
-    subsystemName: config.subsystemName,
-    severity: LEVEL_TO_SEVERITY[pinoLog.level] || 3, // Default to Info
-    text: formatMessage(pinoLog.msg)
+    timestamp,
+    applicationName,
+    subsystemName,
+    severity: resolveSeverity(pinoLog[getLevelKey(config)], config),
+    text: config.textFormat === 'message'
+      ? buildMessageText(pinoLog, config)
+      : buildStructuredText(pinoLog, config, trace)
+  }
+
+  if (skewed && typeof coralogixLog.text === 'object') {
+    coralogixLog.text.originalTimestamp = rawTime
+  }
+
+  if (config.hiResTimestamp) {
+    coralogixLog.hiResTimestamp = getHiResTimestamp(pinoLog, config, clock, timestamp, skewed)
   }
 
   // Add computerName (prefer config, fallback to hostname from log)
@@ -46,11 +86,169 @@ export function transformLog (pinoLog, config) {
   }
   if (pinoLog.threadId) {
     coralogixLog.threadId = pinoLog.threadId
+  } else if (config.spanIdAsThreadId && trace?.spanId) {
+    coralogixLog.threadId = trace.spanId
+  }
+
+  // Fill className/methodName from the error stack when not given explicitly
+  if (config.errorLocation && !coralogixLog.className && !coralogixLog.methodName) {
+    const frame = parseTopFrame(findError(pinoLog, config)?.stack)
+    if (frame?.className) {
+      coralogixLog.className = frame.className
+    }
+    if (frame?.methodName) {
+      coralogixLog.methodName = frame.methodName
+    }
   }
 
   return coralogixLog
 }
 
+/**
+ * Returns the field holding Pino's timestamp
+ * @param {Object} config - Transport configuration
+ * @returns {string} Time key
+ */
+function getTimeKey (config) {
+  return config.timeKey ?? 'time'
+}
+
+/**
+ * Returns the field holding Pino's level
+ * @param {Object} config - Transport configuration
+ * @returns {string} Level key
+ */
+function getLevelKey (config) {
+  return config.levelKey ?? 'level'
+}
+
+/**
+ * Computes the nanosecond timestamp of a log
+ * Prefers the field named by hiResTimestampKey, then a nanosecond Pino time,
+ * then the normalized millisecond timestamp
+ * @param {Object} pinoLog - The Pino log object
+ * @param {Object} config - Transport configuration
+ * @param {HiResClock} [clock] - Clock keeping order within a millisecond
+ * @param {number} timestamp - Normalized timestamp in ms
+ * @param {boolean} skewed - True if the log's own time was replaced
+ * @returns {string} Nanoseconds as a string
+ */
+function getHiResTimestamp (pinoLog, config, clock, timestamp, skewed) {
+  if (!skewed) {
+    if (config.hiResTimestampKey) {
+      const supplied = parseNanoseconds(pinoLog[config.hiResTimestampKey])
+      if (supplied !== null) {
+        return supplied.toString()
+      }
+    }
+
+    const rawTime = pinoLog[getTimeKey(config)]
+    if (isNanosecondString(rawTime)) {
+      return rawTime
+    }
+  }
+
+  const ns = msToNanoseconds(timestamp)
+  return (clock ? clock.next(ns) : ns).toString()
+}
+
+/**
+ * Builds a JSON text containing the message and the remaining Pino fields
+ * @param {Object} pinoLog - The Pino log object
+ * @param {Object} config - Transport configuration
+ * @param {string} [config.messageKey='message'] - Key used for the message
+ * @param {string[]} [config.includeFields] - Only keep these fields
+ * @param {string[]} [config.excludeFields] - Drop these fields
+ * @param {Object|null} trace - Trace context, replacing the fields it was read from
+ * @returns {Object} Structured text object
+ */
+function buildStructuredText (pinoLog, config, trace) {
+  const text = {}
+  const messageKey = config.messageKey ?? 'message'
+
+  if (pinoLog.msg !== undefined) {
+    text[messageKey] = pinoLog.msg
+  }
+
+  for (const key of Object.keys(pinoLog)) {
+    if (
+      MAPPED_FIELDS.has(key) ||
+      // A field named like the message key must not overwrite the message
+      (key === messageKey && pinoLog.msg !== undefined) ||
+      key === getTimeKey(config) ||
+      key === getLevelKey(config) ||
+      key === config.hiResTimestampKey ||
+      trace?.keys.includes(key)
+    ) {
+      continue
+    }
+    if (config.includeFields && !config.includeFields.includes(key)) {
+      continue
+    }
+    if (config.excludeFields && config.excludeFields.includes(key)) {
+      continue
+    }
+    text[key] = getErrorKeys(config).includes(key)
+      ? serializeError(pinoLog[key], config)
+      : pinoLog[key]
+  }
+
+  // Coralogix links logs to spans through these fields
+  if (trace) {
+    text.traceId = trace.traceId
+    if (trace.spanId) {
+      text.spanId = trace.spanId
+    }
+    if (trace.traceFlags) {
+      text.traceFlags = trace.traceFlags
+    }
+  }
+
+  return text
+}
+
+/**
+ * Builds a plain string text from the message,
+ * appending the error stack when the log carries an error
+ * @param {Object} pinoLog - The Pino log object
+ * @param {Object} config - Transport configuration
+ * @returns {string} Message text
+ */
+function buildMessageText (pinoLog, config) {
+  const message = formatMessage(pinoLog.msg)
+  const stack = findError(pinoLog, config)?.stack
+
+  if (typeof stack !== 'string') {
+    return message
+  }
+  return message ? `${message}\n${stack}` : stack
+}
+
+/**
+ * Returns the configured error keys
+ * @param {Object} config - Transport configuration
+ * @returns {string[]} Error keys
+ */
+function getErrorKeys (config) {
+  return config.errorKeys ?? DEFAULT_ERROR_KEYS
+}
+
+/**
+ * Finds the first error-like value among the error keys
+ * @param {Object} pinoLog - The Pino log object
+ * @param {Object} config - Transport configuration
+ * @returns {Object|undefined} The error, if any
+ */
+function findError (pinoLog, config) {
+  for (const key of getErrorKeys(config)) {
+    const value = pinoLog[key]
+    if (value && typeof value === 'object' && value.stack) {
+      return value
+    }
+  }
+  return undefined
+}
+
 /**
  * Formats the message field, converting objects to JSON strings
  * @param {*} msg - The message to format
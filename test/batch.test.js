@@ -1,6 +1,8 @@
 import { describe, it, beforeEach, afterEach } from 'node:test'
 import assert from 'node:assert'
 import { BatchAccumulator } from '../src/batch.js'
+import { toBulkPayload } from '../src/bulk.js'
+import { encodeOtlpLogs } from '../src/otlp.js'
 
 describe('Batching Logic', () => {
   let batchAccumulator
@@ -47,6 +49,17 @@ describe('Batching Logic', () => {
     assert.strictEqual(batchAccumulator.size(), 0)
   })
 
+  it('should seal a batch once it holds batchSize logs', async () => {
+    for (let i = 0; i < 7; i++) {
+      assert.strictEqual(batchAccumulator.add({ text: `log${i}` }), i >= 2)
+    }
+
+    assert.strictEqual(batchAccumulator.sealed.length, 2)
+    await batchAccumulator.flush()
+
+    assert.deepStrictEqual(flushedBatches.map((batch) => batch.length), [3, 3, 1])
+  })
+
   it('should not flush empty batch', async () => {
     await batchAccumulator.flush()
     assert.strictEqual(flushedBatches.length, 0)
@@ -165,4 +178,414 @@ describe('Batching Logic', () => {
 
     assert.strictEqual(batchAccumulator.needsFlush(), false)
   })
+
+  it('should count UTF-8 bytes rather than characters', () => {
+    const log = { text: '日本語'.repeat(10) }
+
+    batchAccumulator.add(log)
+
+    const expected = 2 + Buffer.byteLength(JSON.stringify(log)) + 1
+    assert.strictEqual(batchAccumulator.estimatedSizeBytes(), expected)
+  })
+
+  it('should seal the batch before it exceeds maxBatchSizeBytes', async () => {
+    const log = { text: '日'.repeat(100) } // ~313 bytes
+
+    for (let i = 0; i < 8; i++) {
+      batchAccumulator.add(log)
+    }
+
+    assert.strictEqual(batchAccumulator.size(), 8)
+    assert.strictEqual(batchAccumulator.needsFlush(), true)
+
+    await batchAccumulator.flush()
+
+    assert.ok(flushedBatches.length > 1, 'Logs should be split into several batches')
+    for (const batch of flushedBatches) {
+      assert.ok(Buffer.byteLength(JSON.stringify(batch)) <= 1024, 'Batch should fit in maxBatchSizeBytes')
+    }
+    assert.strictEqual(flushedBatches.flat().length, 8)
+  })
+
+  it('should keep flushing batches in order', async () => {
+    for (let i = 0; i < 10; i++) {
+      batchAccumulator.add({ text: `${i}`.padEnd(300, '.') })
+    }
+
+    await batchAccumulator.flush()
+
+    const texts = flushedBatches.flat().map((log) => log.text.trim().replace(/\.+$/, ''))
+    assert.deepStrictEqual(texts, ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9'])
+  })
+
+  it('should report the largest log that fits alone in a batch', () => {
+    assert.strictEqual(batchAccumulator.maxLogSizeBytes(), 1021)
+  })
+
+  it('should keep at most maxInFlight batches in flight', async () => {
+    let active = 0
+    let maxActive = 0
+    const flushed = []
+    const accumulator = new BatchAccumulator({
+      batchSize: 1,
+      flushInterval: 10000,
+      maxBatchSizeBytes: 100,
+      maxInFlight: 2
+    }, async (batch) => {
+      active++
+      maxActive = Math.max(maxActive, active)
+      await new Promise((resolve) => setTimeout(resolve, 10))
+      flushed.push(batch)
+      active--
+    })
+
+    for (let i = 0; i < 6; i++) {
+      accumulator.add({ text: `${i}`.padEnd(60, '.') })
+    }
+    await accumulator.stop()
+
+    assert.strictEqual(maxActive, 2)
+    assert.strictEqual(flushed.length, 6)
+  })
+
+  it('should send one batch at a time by default', async () => {
+    const events = []
+    const accumulator = new BatchAccumulator({
+      batchSize: 1,
+      flushInterval: 10000,
+      maxBatchSizeBytes: 100
+    }, async (batch) => {
+      events.push(`start ${batch[0].text[0]}`)
+      await new Promise((resolve) => setTimeout(resolve, 5))
+      events.push(`end ${batch[0].text[0]}`)
+    })
+
+    for (let i = 0; i < 3; i++) {
+      accumulator.add({ text: `${i}`.padEnd(60, '.') })
+    }
+    await accumulator.stop()
+
+    assert.deepStrictEqual(events, ['start 0', 'end 0', 'start 1', 'end 1', 'start 2', 'end 2'])
+  })
+
+  it('should hand over a new batch while another one is in flight', async () => {
+    let release
+    const flushed = []
+    const accumulator = new BatchAccumulator({
+      batchSize: 1,
+      flushInterval: 10000,
+      maxBatchSizeBytes: 1024,
+      maxInFlight: 2
+    }, async (batch) => {
+      flushed.push(batch)
+      if (flushed.length === 1) {
+        await new Promise((resolve) => { release = resolve })
+      }
+    })
+
+    accumulator.add({ text: 'slow' })
+    await accumulator.flush()
+    accumulator.add({ text: 'fast' })
+    await accumulator.flush()
+
+    assert.strictEqual(flushed.length, 2, 'Second batch should not wait for the first one')
+    await new Promise((resolve) => setImmediate(resolve))
+    assert.strictEqual(accumulator.inFlightCount(), 1)
+
+    release()
+    await accumulator.stop()
+    assert.strictEqual(accumulator.inFlightCount(), 0)
+  })
+
+  it('should wait for batches in flight when stopping', async () => {
+    let delivered = false
+    const accumulator = new BatchAccumulator({
+      batchSize: 1,
+      flushInterval: 10000,
+      maxBatchSizeBytes: 1024,
+      maxInFlight: 4
+    }, async () => {
+      await new Promise((resolve) => setTimeout(resolve, 20))
+      delivered = true
+    })
+
+    accumulator.add({ text: 'log' })
+    await accumulator.flush()
+    assert.strictEqual(delivered, false)
+
+    await accumulator.stop()
+    assert.strictEqual(delivered, true)
+  })
+
+  describe('Overflow', () => {
+    const createAccumulator = (config) => new BatchAccumulator({
+      batchSize: 100,
+      flushInterval: 10000,
+      maxBatchSizeBytes: 1024,
+      maxBufferedRecords: 3,
+      ...config
+    }, async (batch) => {
+      flushedBatches.push(batch)
+    })
+
+    const texts = (accumulator) => accumulator.bufferedLogs().map((log) => log.text)
+
+    it('should drop the oldest logs with dropOldest', async () => {
+      const accumulator = createAccumulator({ overflowPolicy: 'dropOldest' })
+
+      for (const text of ['a', 'b', 'c', 'd', 'e']) {
+        accumulator.add({ text, severity: 3 })
+      }
+
+      assert.deepStrictEqual(texts(accumulator), ['c', 'd', 'e'])
+      assert.strictEqual(accumulator.droppedCount(), 2)
+      await accumulator.stop()
+    })
+
+    it('should drop new logs with dropNewest', async () => {
+      const accumulator = createAccumulator({ overflowPolicy: 'dropNewest' })
+
+      for (const text of ['a', 'b', 'c', 'd', 'e']) {
+        accumulator.add({ text, severity: 3 })
+      }
+
+      assert.deepStrictEqual(texts(accumulator), ['a', 'b', 'c'])
+      assert.strictEqual(accumulator.droppedCount(), 2)
+      await accumulator.stop()
+    })
+
+    it('should drop the lowest severity first with dropLowestSeverity', async () => {
+      const accumulator = createAccumulator({ overflowPolicy: 'dropLowestSeverity' })
+
+      accumulator.add({ text: 'debug', severity: 2 })
+      accumulator.add({ text: 'info', severity: 3 })
+      accumulator.add({ text: 'error', severity: 5 })
+      accumulator.add({ text: 'warn', severity: 4 })
+      accumulator.add({ text: 'another debug', severity: 2 })
+
+      assert.deepStrictEqual(texts(accumulator), ['info', 'error', 'warn'])
+      assert.strictEqual(accumulator.droppedCount(), 2)
+      await accumulator.stop()
+    })
+
+    it('should cap buffered bytes across sealed batches', async () => {
+      const accumulator = createAccumulator({
+        maxBatchSizeBytes: 200,
+        maxBufferedRecords: undefined,
+        maxBufferedBytes: 500,
+        overflowPolicy: 'dropOldest'
+      })
+
+      for (let i = 0; i < 20; i++) {
+        accumulator.add({ text: `${i}`.padEnd(50, '.'), severity: 3 })
+      }
+
+      assert.ok(accumulator.bufferedSizeBytes() <= 500)
+      assert.ok(accumulator.sealed.length > 0, 'Logs should span several batches')
+      assert.strictEqual(texts(accumulator).at(-1), '19'.padEnd(50, '.'))
+      assert.strictEqual(accumulator.droppedCount() + accumulator.size(), 20)
+      await accumulator.stop()
+    })
+
+    it('should flush sealed batches without the logs dropped from them', async () => {
+      const accumulator = createAccumulator({
+        maxBatchSizeBytes: 120,
+        maxBufferedRecords: 4,
+        overflowPolicy: 'dropLowestSeverity'
+      })
+
+      const severities = [2, 5, 3, 2, 5, 4, 3, 6]
+      severities.forEach((severity, i) => accumulator.add({ text: `log ${i}`, severity }))
+      assert.ok(accumulator.sealed.length > 0, 'Logs should span several batches')
+      assert.strictEqual(accumulator.size(), 4)
+
+      await accumulator.flush()
+      accumulator.add({ text: 'after flush', severity: 1 })
+      await accumulator.stop()
+
+      const flushed = flushedBatches.flat().map((log) => log.text)
+      assert.deepStrictEqual(flushed, ['log 1', 'log 4', 'log 5', 'log 7', 'after flush'])
+      assert.strictEqual(accumulator.droppedCount(), 4)
+      assert.strictEqual(accumulator.size(), 0)
+      assert.strictEqual(accumulator.bufferedSizeBytes(), 2)
+    })
+
+    it('should not drop with block and report the buffer as full', async () => {
+      const accumulator = createAccumulator({ overflowPolicy: 'block' })
+
+      for (const text of ['a', 'b', 'c', 'd']) {
+        accumulator.add({ text, severity: 3 })
+      }
+
+      assert.strictEqual(accumulator.isFull(), true)
+      assert.strictEqual(accumulator.droppedCount(), 0)
+
+      await accumulator.flush()
+      assert.strictEqual(accumulator.isFull(), false)
+      await accumulator.stop()
+    })
+
+    it('should report drops since the last report', async () => {
+      const reports = []
+      const accumulator = createAccumulator({
+        overflowPolicy: 'dropNewest',
+        onDrop: (count) => reports.push(count)
+      })
+
+      for (const text of ['a', 'b', 'c', 'd', 'e']) {
+        accumulator.add({ text, severity: 3 })
+      }
+      accumulator.reportDrops()
+      accumulator.add({ text: 'f', severity: 3 })
+      await accumulator.stop()
+
+      assert.deepStrictEqual(reports, [2, 1])
+      assert.strictEqual(accumulator.droppedCount(), 3)
+    })
+  })
+
+  describe('Bulk', () => {
+    const createAccumulator = (config) => new BatchAccumulator({
+      batchSize: 1000,
+      flushInterval: 10000,
+      maxBatchSizeBytes: 1024,
+      endpointType: 'bulk',
+      ...config
+    }, async (batch) => {
+      flushedBatches.push(batch)
+    })
+
+    const log = (i, subsystemName = 'api') => ({
+      applicationName: 'my-application',
+      subsystemName,
+      computerName: 'host-1',
+      timestamp: 1675148539123,
+      severity: 3,
+      text: { message: `message ${i}` }
+    })
+
+    it('should count group metadata once per batch', async () => {
+      const bulk = createAccumulator()
+      const singles = createAccumulator({ endpointType: 'singles' })
+
+      for (let i = 0; i < 5; i++) {
+        bulk.add(log(i))
+        singles.add(log(i))
+      }
+
+      const payload = Buffer.byteLength(JSON.stringify(toBulkPayload(bulk.batch)))
+      assert.ok(bulk.estimatedSizeBytes() >= payload, 'Estimate should be an upper bound')
+      assert.ok(bulk.estimatedSizeBytes() < payload + 10, 'Estimate should stay close')
+      assert.ok(bulk.estimatedSizeBytes() < singles.estimatedSizeBytes() * 0.7, 'Bulk batches should be smaller')
+
+      await bulk.stop()
+      await singles.stop()
+    })
+
+    it('should count a new group when its first log is added', () => {
+      const accumulator = createAccumulator()
+
+      accumulator.add(log(0))
+      const oneGroup = accumulator.estimatedSizeBytes()
+      accumulator.add(log(1))
+      const sameGroup = accumulator.estimatedSizeBytes() - oneGroup
+      accumulator.add(log(2, 'worker'))
+      const newGroup = accumulator.estimatedSizeBytes() - oneGroup - sameGroup
+
+      assert.ok(newGroup > sameGroup + Buffer.byteLength('"applicationName":"my-application"'))
+      assert.ok(accumulator.estimatedSizeBytes() >= Buffer.byteLength(JSON.stringify(toBulkPayload(accumulator.batch))))
+    })
+
+    it('should seal batches before the bulk payload exceeds maxBatchSizeBytes', async () => {
+      const accumulator = createAccumulator({ maxBatchSizeBytes: 400 })
+
+      for (let i = 0; i < 30; i++) {
+        accumulator.add(log(i, `subsystem-${i % 3}`))
+      }
+      await accumulator.stop()
+
+      assert.ok(flushedBatches.length > 1)
+      for (const batch of flushedBatches) {
+        assert.ok(Buffer.byteLength(JSON.stringify(toBulkPayload(batch))) <= 400)
+      }
+      assert.strictEqual(flushedBatches.flat().length, 30)
+    })
+
+    it('should leave room for the group envelope in the largest log', async () => {
+      const accumulator = createAccumulator({ maxBatchSizeBytes: 300 })
+      const base = log(0)
+      const padding = accumulator.maxLogSizeBytes() - Buffer.byteLength(JSON.stringify(base))
+      const largest = { ...base, text: { message: base.text.message + 'x'.repeat(padding) } }
+
+      assert.strictEqual(Buffer.byteLength(JSON.stringify(largest)), accumulator.maxLogSizeBytes())
+      assert.ok(Buffer.byteLength(JSON.stringify(toBulkPayload([largest]))) <= 300)
+      await accumulator.stop()
+    })
+  })
+
+  describe('OTLP/JSON', () => {
+    const createAccumulator = (config) => new BatchAccumulator({
+      batchSize: 1000,
+      flushInterval: 10000,
+      maxBatchSizeBytes: 1024,
+      protocol: 'otlp',
+      otlpEncoding: 'json',
+      ...config
+    }, async (batch) => {
+      flushedBatches.push(batch)
+    })
+
+    const log = (i, subsystemName = 'api') => ({
+      applicationName: 'my-application',
+      subsystemName,
+      computerName: 'host-1',
+      timestamp: 1675148539123,
+      severity: 3,
+      text: { message: `message ${i}`, userId: i }
+    })
+
+    const encodedSize = (logs, config = {}) =>
+      Buffer.byteLength(encodeOtlpLogs(logs, { otlpEncoding: 'json', ...config }))
+
+    it('should size batches on the encoded request', async () => {
+      const accumulator = createAccumulator()
+
+      for (let i = 0; i < 5; i++) {
+        accumulator.add(log(i, `subsystem-${i % 2}`))
+      }
+
+      const payload = encodedSize(accumulator.batch)
+      assert.ok(accumulator.estimatedSizeBytes() >= payload, 'Estimate should be an upper bound')
+      assert.ok(accumulator.estimatedSizeBytes() < payload + 10, 'Estimate should stay close')
+      await accumulator.stop()
+    })
+
+    it('should seal batches before the request exceeds maxBatchSizeBytes', async () => {
+      const resourceAttributes = { 'deployment.environment': 'production' }
+      const accumulator = createAccumulator({ maxBatchSizeBytes: 1500, resourceAttributes })
+
+      for (let i = 0; i < 30; i++) {
+        accumulator.add(log(i, `subsystem-${i % 3}`))
+      }
+      await accumulator.stop()
+
+      assert.ok(flushedBatches.length > 1)
+      for (const batch of flushedBatches) {
+        assert.ok(encodedSize(batch, { resourceAttributes }) <= 1500)
+      }
+      assert.strictEqual(flushedBatches.flat().length, 30)
+    })
+
+    it('should measure the largest log as an encoded request', async () => {
+      const accumulator = createAccumulator({ maxBatchSizeBytes: 600 })
+      const base = log(0)
+      const padding = accumulator.maxLogSizeBytes() - accumulator.logSizeBytes(base)
+      const largest = { ...base, text: { ...base.text, message: base.text.message + 'x'.repeat(padding) } }
+
+      assert.strictEqual(accumulator.logSizeBytes(largest), accumulator.maxLogSizeBytes())
+      assert.ok(encodedSize([largest]) <= 600)
+      assert.ok(encodedSize([largest]) > 590, 'Only separators should be left over')
+      await accumulator.stop()
+    })
+  })
 })
@@ -0,0 +1,112 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert'
+import { sendBisecting, RejectedLogError, RejectedBatchError } from '../src/bisect.js'
+import { HttpError } from '../src/http.js'
+
+/**
+ * Creates a send function rejecting any batch that contains a bad log
+ */
+function createSend (isBad, statusCode = 400) {
+  const sent = []
+  const send = async (logs) => {
+    if (logs.some(isBad)) {
+      throw new HttpError(`HTTP ${statusCode}`, statusCode, 'rejected')
+    }
+    sent.push(logs)
+  }
+  return { sent, send }
+}
+
+describe('Batch Bisection', () => {
+  it('should send accepted batches once', async () => {
+    const { sent, send } = createSend(() => false)
+    const rejected = []
+
+    await sendBisecting([1, 2, 3], send, (error) => rejected.push(error))
+
+    assert.deepStrictEqual(sent, [[1, 2, 3]])
+    assert.strictEqual(rejected.length, 0)
+  })
+
+  it('should isolate a malformed log and send all the others', async () => {
+    const logs = Array.from({ length: 10 }, (_, i) => i)
+    const { sent, send } = createSend((log) => log === 6)
+    const rejected = []
+
+    await sendBisecting(logs, send, (error) => rejected.push(error))
+
+    // The second half of a split is tried before the first half is split
+    assert.deepStrictEqual(sent, [[0, 1, 2, 3, 4], [8, 9], [7], [5]])
+    assert.strictEqual(rejected.length, 1)
+    assert.ok(rejected[0] instanceof RejectedLogError)
+    assert.strictEqual(rejected[0].log, 6)
+    assert.strictEqual(rejected[0].statusCode, 400)
+    assert.ok(rejected[0].cause instanceof HttpError)
+  })
+
+  it('should isolate every log too large on its own', async () => {
+    const logs = ['a', 'big1', 'b', 'c', 'big2']
+    const { sent, send } = createSend((log) => log.startsWith('big'), 413)
+    const rejected = []
+
+    await sendBisecting(logs, send, (error) => rejected.push(error))
+
+    assert.deepStrictEqual(sent.flat().sort(), ['a', 'b', 'c'])
+    assert.deepStrictEqual(rejected.map((error) => error.log), ['big1', 'big2'])
+    assert.ok(rejected.every((error) => error.statusCode === 413))
+  })
+
+  it('should report a batch rejected as a whole once', async () => {
+    let calls = 0
+    const send = async () => {
+      calls++
+      throw new HttpError('HTTP 400', 400, 'invalid application name')
+    }
+    const rejected = []
+
+    await sendBisecting(Array.from({ length: 16 }, (_, i) => i), send, (error) => rejected.push(error))
+
+    assert.strictEqual(calls, 4)
+    assert.strictEqual(rejected.length, 1)
+    assert.ok(rejected[0] instanceof RejectedBatchError)
+    assert.strictEqual(rejected[0].logs.length, 16)
+    assert.strictEqual(rejected[0].statusCode, 400)
+  })
+
+  it('should keep isolating bad logs found in both halves', async () => {
+    const logs = Array.from({ length: 8 }, (_, i) => i)
+    const { sent, send } = createSend((log) => log === 2 || log === 5)
+    const rejected = []
+
+    await sendBisecting(logs, send, (error) => rejected.push(error))
+
+    assert.deepStrictEqual(sent.flat().sort(), [0, 1, 3, 4, 6, 7])
+    assert.deepStrictEqual(rejected.map((error) => error.log), [2, 5])
+    assert.ok(rejected.every((error) => error instanceof RejectedLogError))
+  })
+
+  it('should attach the unsent logs to other errors', async () => {
+    let calls = 0
+    const sent = []
+    const send = async (logs) => {
+      calls++
+      if (calls === 1) {
+        throw new HttpError('HTTP 413', 413, 'too large')
+      }
+      if (calls === 3) {
+        throw new HttpError('HTTP 503', 503, 'unavailable')
+      }
+      sent.push(logs)
+    }
+
+    await assert.rejects(
+      sendBisecting([1, 2, 3, 4], send, () => {}),
+      (error) => {
+        assert.strictEqual(error.statusCode, 503)
+        assert.deepStrictEqual(error.unsentLogs, [3, 4])
+        return true
+      }
+    )
+    assert.deepStrictEqual(sent, [[1, 2]])
+  })
+})
@@ -0,0 +1,58 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert'
+import { toBulkPayload, splitBulkLog, bulkGroupKey } from '../src/bulk.js'
+
+describe('Bulk Payload', () => {
+  const log = (subsystemName, text, computerName) => ({
+    applicationName: 'app',
+    subsystemName,
+    computerName,
+    timestamp: 1675148539123,
+    severity: 3,
+    text
+  })
+
+  it('should split a log into its group and entry', () => {
+    const { group, entry } = splitBulkLog({ ...log('api', 'hello', 'host-1'), threadId: '7' })
+
+    assert.deepStrictEqual(group, { applicationName: 'app', subsystemName: 'api', computerName: 'host-1' })
+    assert.deepStrictEqual(entry, { timestamp: 1675148539123, severity: 3, text: 'hello', threadId: '7' })
+  })
+
+  it('should leave out a missing computerName', () => {
+    const { group, entry } = splitBulkLog(log('api', 'hello'))
+
+    assert.deepStrictEqual(group, { applicationName: 'app', subsystemName: 'api' })
+    assert.strictEqual('computerName' in entry, false)
+  })
+
+  it('should group entries by application, subsystem and computer name', () => {
+    const payload = toBulkPayload([
+      log('api', 'a', 'host-1'),
+      log('worker', 'b', 'host-1'),
+      log('api', 'c', 'host-1'),
+      log('api', 'd', 'host-2')
+    ])
+
+    assert.deepStrictEqual(payload, [
+      {
+        applicationName: 'app',
+        subsystemName: 'api',
+        computerName: 'host-1',
+        logEntries: [
+          { timestamp: 1675148539123, severity: 3, text: 'a' },
+          { timestamp: 1675148539123, severity: 3, text: 'c' }
+        ]
+      },
+      { applicationName: 'app', subsystemName: 'worker', computerName: 'host-1', logEntries: [{ timestamp: 1675148539123, severity: 3, text: 'b' }] },
+      { applicationName: 'app', subsystemName: 'api', computerName: 'host-2', logEntries: [{ timestamp: 1675148539123, severity: 3, text: 'd' }] }
+    ])
+  })
+
+  it('should not confuse names containing separators', () => {
+    assert.notStrictEqual(
+      bulkGroupKey({ applicationName: 'a,b', subsystemName: 'c' }),
+      bulkGroupKey({ applicationName: 'a', subsystemName: 'b,c' })
+    )
+  })
+})
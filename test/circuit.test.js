@@ -0,0 +1,150 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert'
+import { CircuitBreaker, CircuitOpenError } from '../src/circuit.js'
+import { HttpError } from '../src/http.js'
+
+const fail = (statusCode) => async () => {
+  throw new HttpError(`HTTP ${statusCode}`, statusCode, 'error')
+}
+const succeed = async () => 'ok'
+
+describe('Circuit Breaker', () => {
+  const createBreaker = (config) => {
+    const changes = []
+    const breaker = new CircuitBreaker({
+      failureThreshold: 3,
+      resetTimeout: 20,
+      onStateChange: (state, error) => changes.push({ state, error }),
+      ...config
+    })
+    return { breaker, changes }
+  }
+
+  it('should let sends through while closed', async () => {
+    const { breaker } = createBreaker()
+
+    assert.strictEqual(await breaker.call(succeed), 'ok')
+    assert.strictEqual(breaker.state, 'closed')
+  })
+
+  it('should open after consecutive transient failures', async () => {
+    const { breaker, changes } = createBreaker()
+
+    for (let i = 0; i < 3; i++) {
+      await assert.rejects(breaker.call(fail(503)), HttpError)
+    }
+
+    assert.strictEqual(breaker.state, 'open')
+    assert.strictEqual(changes.length, 1)
+    assert.strictEqual(changes[0].error.statusCode, 503)
+  })
+
+  it('should reset the failure count on success', async () => {
+    const { breaker } = createBreaker()
+
+    await assert.rejects(breaker.call(fail(503)))
+    await assert.rejects(breaker.call(fail(503)))
+    await breaker.call(succeed)
+    await assert.rejects(breaker.call(fail(503)))
+
+    assert.strictEqual(breaker.state, 'closed')
+  })
+
+  it('should not count errors about the batch content', async () => {
+    const { breaker } = createBreaker({ failureThreshold: 1 })
+
+    await assert.rejects(breaker.call(fail(400)))
+    await assert.rejects(breaker.call(fail(413)))
+
+    assert.strictEqual(breaker.state, 'closed')
+  })
+
+  it('should short-circuit sends while open', async () => {
+    const { breaker } = createBreaker({ failureThreshold: 1, resetTimeout: 10000 })
+    let calls = 0
+
+    await assert.rejects(breaker.call(fail(503)))
+    await assert.rejects(
+      breaker.call(async () => { calls++ }),
+      (error) => error instanceof CircuitOpenError && error.state === 'open' && error.retryAt > Date.now()
+    )
+    assert.strictEqual(calls, 0)
+  })
+
+  it('should close after a successful trial once resetTimeout elapsed', async () => {
+    const { breaker, changes } = createBreaker({ failureThreshold: 1 })
+
+    await assert.rejects(breaker.call(fail(503)))
+    await new Promise((resolve) => setTimeout(resolve, 30))
+    await breaker.call(succeed)
+
+    assert.strictEqual(breaker.state, 'closed')
+    assert.deepStrictEqual(changes.map((change) => change.state), ['open', 'halfOpen', 'closed'])
+  })
+
+  it('should re-open when the trial fails', async () => {
+    const { breaker } = createBreaker({ failureThreshold: 1 })
+
+    await assert.rejects(breaker.call(fail(503)))
+    await new Promise((resolve) => setTimeout(resolve, 30))
+    await assert.rejects(breaker.call(fail(503)), HttpError)
+
+    assert.strictEqual(breaker.state, 'open')
+    await assert.rejects(breaker.call(succeed), CircuitOpenError)
+  })
+
+  it('should allow a single trial at a time', async () => {
+    const { breaker } = createBreaker({ failureThreshold: 1 })
+
+    await assert.rejects(breaker.call(fail(503)))
+    await new Promise((resolve) => setTimeout(resolve, 30))
+
+    let release
+    const trial = breaker.call(() => new Promise((resolve) => { release = resolve }))
+    await assert.rejects(breaker.call(succeed), CircuitOpenError)
+
+    release()
+    await trial
+    assert.strictEqual(breaker.state, 'closed')
+  })
+
+  it('should enter the unauthorized state once on 401', async () => {
+    const { breaker, changes } = createBreaker()
+
+    await assert.rejects(breaker.call(fail(401)))
+    assert.strictEqual(breaker.state, 'unauthorized')
+    await assert.rejects(breaker.call(succeed), (error) => error.state === 'unauthorized')
+
+    await new Promise((resolve) => setTimeout(resolve, 30))
+    await assert.rejects(breaker.call(fail(401)))
+
+    assert.strictEqual(breaker.state, 'unauthorized')
+    assert.strictEqual(changes.length, 1, 'The unauthorized state should be reported once')
+
+    await new Promise((resolve) => setTimeout(resolve, 30))
+    await breaker.call(succeed)
+    assert.strictEqual(breaker.state, 'closed')
+  })
+
+  it('should wait until a trial is allowed', async () => {
+    const { breaker } = createBreaker({ failureThreshold: 1, resetTimeout: 30 })
+
+    await assert.rejects(breaker.call(fail(503)))
+    const start = Date.now()
+    await breaker.waitUntilReady()
+
+    assert.ok(Date.now() - start >= 20)
+    assert.strictEqual(await breaker.call(succeed), 'ok')
+  })
+
+  it('should stop waiting when aborted', async () => {
+    const { breaker } = createBreaker({ failureThreshold: 1, resetTimeout: 10000 })
+    const controller = new AbortController()
+
+    await assert.rejects(breaker.call(fail(503)))
+    setTimeout(() => controller.abort(), 10)
+    await breaker.waitUntilReady(controller.signal)
+
+    assert.strictEqual(breaker.state, 'open')
+  })
+})
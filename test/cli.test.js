@@ -0,0 +1,217 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import { EventEmitter } from 'node:events'
+import { PassThrough, Readable } from 'node:stream'
+import { mkdtemp, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { MockAgent, setGlobalDispatcher, getGlobalDispatcher } from 'undici'
+import { parseArgs, parseEnv, loadOptions, run } from '../src/cli.js'
+
+describe('CLI', () => {
+  describe('Options', () => {
+    it('should parse flags into camelCase options', () => {
+      const { options, positionals } = parseArgs([
+        '--domain', 'eu1',
+        '--app', 'my-app',
+        '--subsystem=api',
+        '--api-key', '12345',
+        '--batch-size', '500',
+        '--no-bisect',
+        '--hi-res-timestamp',
+        '--redact-paths', '["password"]',
+        'extra'
+      ])
+
+      assert.deepStrictEqual(options, {
+        domain: 'eu1',
+        applicationName: 'my-app',
+        subsystemName: 'api',
+        apiKey: '12345',
+        batchSize: 500,
+        bisect: false,
+        hiResTimestamp: true,
+        redactPaths: ['password']
+      })
+      assert.deepStrictEqual(positionals, ['extra'])
+    })
+
+    it('should not let boolean CLI flags take a value', () => {
+      const { options, positionals } = parseArgs(['--tee', 'replay'])
+
+      assert.deepStrictEqual(options, { tee: true })
+      assert.deepStrictEqual(positionals, ['replay'])
+    })
+
+    it('should read --no-proxy as the noProxy option when a value follows', () => {
+      assert.deepStrictEqual(parseArgs(['--no-proxy', 'localhost,10.0.0.1', '--proxy', 'http://p:3128']), {
+        options: { noProxy: 'localhost,10.0.0.1', proxy: 'http://p:3128' },
+        positionals: []
+      })
+      assert.deepStrictEqual(parseArgs(['--proxy', 'http://p:3128', '--no-proxy', 'localhost']).options, {
+        proxy: 'http://p:3128',
+        noProxy: 'localhost'
+      })
+      assert.deepStrictEqual(parseArgs(['--no-proxy']).options, { proxy: false })
+    })
+
+    it('should keep paths and text options as strings', () => {
+      const { options } = parseArgs([
+        '--spool-dir', '2024',
+        '--redact-hash-salt', '123456',
+        '--redact-censor', '0',
+        '--message-key', 'true',
+        '--dead-letter-file', '[failed].ndjson'
+      ])
+
+      assert.deepStrictEqual(options, {
+        spoolDir: '2024',
+        redactHashSalt: '123456',
+        redactCensor: '0',
+        messageKey: 'true',
+        deadLetterFile: '[failed].ndjson'
+      })
+    })
+
+    it('should reject invalid JSON values', () => {
+      assert.throws(() => parseArgs(['--routes', '[{']), /Invalid JSON for routes/)
+    })
+
+    it('should read CORALOGIX_* environment variables', () => {
+      const options = parseEnv({
+        CORALOGIX_API_KEY: 'secret',
+        CORALOGIX_DOMAIN: 'eu2',
+        CORALOGIX_APP_NAME: 'legacy',
+        CORALOGIX_FLUSH_INTERVAL: '2000',
+        CORALOGIX_EMPTY: '',
+        HOME: '/root'
+      })
+
+      assert.deepStrictEqual(options, {
+        apiKey: 'secret',
+        domain: 'eu2',
+        applicationName: 'legacy',
+        flushInterval: 2000
+      })
+    })
+
+    it('should merge the config file, environment and flags in order', async () => {
+      const directory = await mkdtemp(join(tmpdir(), 'pino-coralogix-cli-'))
+      const config = join(directory, 'config.json')
+      await writeFile(config, JSON.stringify({ domain: 'us1', batchSize: 10, flushInterval: 100, applicationName: 'file' }))
+
+      try {
+        const { options, cli } = await loadOptions({
+          argv: ['--config', config, '--batch-size', '30', '--tee'],
+          env: { CORALOGIX_BATCH_SIZE: '20', CORALOGIX_FLUSH_INTERVAL: '200' }
+        })
+
+        assert.deepStrictEqual(options, { domain: 'us1', batchSize: 30, flushInterval: 200, applicationName: 'file' })
+        assert.deepStrictEqual(cli, { config, tee: true })
+      } finally {
+        await rm(directory, { recursive: true, force: true })
+      }
+    })
+  })
+
+  describe('Run', () => {
+    let mockAgent
+    let originalDispatcher
+    const argv = ['--domain', 'us1', '--api-key', 'test-key', '--app', 'test-app', '--subsystem', 'test-subsystem']
+
+    beforeEach(() => {
+      originalDispatcher = getGlobalDispatcher()
+      mockAgent = new MockAgent()
+      mockAgent.disableNetConnect()
+      setGlobalDispatcher(mockAgent)
+    })
+
+    afterEach(async () => {
+      await mockAgent.close()
+      setGlobalDispatcher(originalDispatcher)
+    })
+
+    const interceptLogs = () => {
+      const received = []
+      mockAgent.get('https://ingress.us1.coralogix.com')
+        .intercept({ path: '/logs/v1/singles', method: 'POST' })
+        .reply(200, (opts) => {
+          received.push(...JSON.parse(opts.body))
+          return { status: 'ok' }
+        })
+        .persist()
+      return received
+    }
+
+    const line = (msg) => JSON.stringify({ level: 30, time: Date.now(), msg }) + '\n'
+
+    it('should send stdin logs and flush on EOF', async () => {
+      const received = interceptLogs()
+      const stdin = Readable.from([line('first'), line('second')])
+      const stdout = new PassThrough()
+
+      const code = await run({ argv, env: {}, stdin, stdout })
+
+      assert.strictEqual(code, 0)
+      assert.deepStrictEqual(received.map((log) => log.text.message), ['first', 'second'])
+      assert.strictEqual(stdout.read(), null, 'Nothing should be written without --tee')
+    })
+
+    it('should tee the input to stdout', async () => {
+      interceptLogs()
+      const input = line('copied')
+      const stdin = Readable.from([input])
+      const stdout = new PassThrough()
+
+      await run({ argv: [...argv, '--tee'], env: {}, stdin, stdout })
+
+      assert.strictEqual(stdout.read().toString(), input)
+    })
+
+    it('should flush what was read on SIGTERM', async () => {
+      const received = interceptLogs()
+      const stdin = new PassThrough()
+      const signals = new EventEmitter()
+
+      const running = run({ argv, env: {}, stdin, stdout: new PassThrough(), signals })
+      stdin.write(line('before shutdown'))
+      await new Promise((resolve) => setTimeout(resolve, 20))
+      signals.emit('SIGTERM')
+
+      assert.strictEqual(await running, 0)
+      assert.deepStrictEqual(received.map((log) => log.text.message), ['before shutdown'])
+      assert.strictEqual(signals.listenerCount('SIGTERM'), 0)
+    })
+
+    it('should fail on invalid options', async () => {
+      const code = await run({ argv: ['--domain', 'us1'], env: {}, stdin: Readable.from([]), stdout: new PassThrough() })
+      assert.strictEqual(code, 1)
+    })
+
+    it('should print the help', async () => {
+      const stdout = new PassThrough()
+      const code = await run({ argv: ['--help'], env: {}, stdin: Readable.from([]), stdout })
+
+      assert.strictEqual(code, 0)
+      assert.match(stdout.read().toString(), /^Usage: pino-coralogix/)
+    })
+
+    it('should replay a dead-letter file', async () => {
+      const received = interceptLogs()
+      const directory = await mkdtemp(join(tmpdir(), 'pino-coralogix-cli-'))
+      const file = join(directory, 'dead-letter.ndjson')
+      await writeFile(file, JSON.stringify({ error: 'boom', log: { severity: 3, text: 'lost' } }) + '\n')
+
+      try {
+        const stdout = new PassThrough()
+        const code = await run({ argv: ['replay', file, ...argv], env: {}, stdin: Readable.from([]), stdout })
+
+        assert.strictEqual(code, 0)
+        assert.deepStrictEqual(received, [{ severity: 3, text: 'lost' }])
+        assert.strictEqual(stdout.read().toString(), 'Replayed 1 logs, 0 failed\n')
+      } finally {
+        await rm(directory, { recursive: true, force: true })
+      }
+    })
+  })
+})
@@ -0,0 +1,94 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { DeadLetterFile, readDeadLetters, readDeadLetterBatches } from '../src/deadletter.js'
+import { HttpError } from '../src/http.js'
+import { RetryError } from '../src/retry.js'
+
+describe('Dead-Letter File', () => {
+  let directory
+  let path
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'pino-coralogix-dead-letter-'))
+    path = join(directory, 'dead-letter.ndjson')
+  })
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true })
+  })
+
+  const collect = async (iterable) => {
+    const items = []
+    for await (const item of iterable) {
+      items.push(item)
+    }
+    return items
+  }
+
+  it('should write one entry per log with the error details', async () => {
+    const cause = new HttpError('HTTP 503: unavailable', 503, 'unavailable')
+    const error = new RetryError('Giving up after 4 attempts: HTTP 503: unavailable', 4, cause)
+
+    await new DeadLetterFile(path).write([{ text: 'a' }, { text: 'b' }], error)
+
+    const entries = (await readFile(path, 'utf8')).trim().split('\n').map((line) => JSON.parse(line))
+    assert.strictEqual(entries.length, 2)
+    assert.deepStrictEqual(entries[0].log, { text: 'a' })
+    assert.strictEqual(entries[0].error, error.message)
+    assert.strictEqual(entries[0].statusCode, 503)
+    assert.strictEqual(entries[0].attempts, 4)
+    assert.ok(!Number.isNaN(Date.parse(entries[0].failedAt)))
+  })
+
+  it('should keep concurrent writes in order', async () => {
+    const deadLetter = new DeadLetterFile(path)
+    const error = new Error('boom')
+
+    await Promise.all([
+      deadLetter.write([{ text: 'first' }], error),
+      deadLetter.write([{ text: 'second' }], error),
+      deadLetter.write([{ text: 'third' }], error)
+    ])
+
+    const entries = await collect(readDeadLetters(path))
+    assert.deepStrictEqual(entries.map((entry) => entry.log.text), ['first', 'second', 'third'])
+  })
+
+  it('should keep writing after a failed write', async () => {
+    const deadLetter = new DeadLetterFile(join(directory, 'missing', 'dead-letter.ndjson'))
+
+    await assert.rejects(deadLetter.write([{ text: 'lost' }], new Error('boom')), { code: 'ENOENT' })
+    deadLetter.path = path
+    await deadLetter.write([{ text: 'kept' }], new Error('boom'))
+    await deadLetter.flushed()
+
+    const entries = await collect(readDeadLetters(path))
+    assert.deepStrictEqual(entries.map((entry) => entry.log.text), ['kept'])
+  })
+
+  it('should skip corrupt lines when reading', async () => {
+    await writeFile(path, '{"log":{"text":"ok"}}\nnot json\n\n{"error":"no log"}\n')
+
+    const entries = await collect(readDeadLetters(path))
+    assert.deepStrictEqual(entries, [{ log: { text: 'ok' } }])
+  })
+
+  it('should read logs as batches limited by count and bytes', async () => {
+    const deadLetter = new DeadLetterFile(path)
+    const logs = Array.from({ length: 7 }, (_, i) => ({ text: `${i}`.padEnd(40, '.') }))
+    await deadLetter.write(logs, new Error('boom'))
+
+    const byCount = await collect(readDeadLetterBatches(path, { batchSize: 3, maxBatchSizeBytes: 10000 }))
+    assert.deepStrictEqual(byCount.map((batch) => batch.length), [3, 3, 1])
+
+    const byBytes = await collect(readDeadLetterBatches(path, { batchSize: 100, maxBatchSizeBytes: 120 }))
+    assert.ok(byBytes.length > 1)
+    for (const batch of byBytes) {
+      assert.ok(Buffer.byteLength(JSON.stringify(batch)) <= 120)
+    }
+    assert.strictEqual(byBytes.flat().length, 7)
+  })
+})
@@ -0,0 +1,129 @@
+import { describe, it, before, after } from 'node:test'
+import assert from 'node:assert'
+import { createServer } from 'node:http'
+import { connect } from 'node:net'
+import { once } from 'node:events'
+import { mkdtemp, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { Agent, EnvHttpProxyAgent } from 'undici'
+import { createDispatcher, buildTlsOptions, buildProxyTlsOptions } from '../src/dispatcher.js'
+import { sendLogs } from '../src/http.js'
+
+describe('Dispatcher', () => {
+  let directory
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'pino-coralogix-tls-'))
+  })
+
+  after(async () => {
+    await rm(directory, { recursive: true, force: true })
+  })
+
+  it('should use the global dispatcher without proxy or TLS options', async () => {
+    assert.strictEqual(await createDispatcher({}), null)
+  })
+
+  it('should create an Agent for TLS options', async () => {
+    const dispatcher = await createDispatcher({ ca: 'PEM', rejectUnauthorized: false })
+    assert.ok(dispatcher instanceof Agent)
+    await dispatcher.close()
+  })
+
+  it('should create a proxy agent for a proxy or the environment', async () => {
+    const explicit = await createDispatcher({ proxy: 'http://proxy.internal:3128' })
+    assert.ok(explicit instanceof EnvHttpProxyAgent)
+    await explicit.close()
+
+    const fromEnv = await createDispatcher({ proxyFromEnv: true })
+    assert.ok(fromEnv instanceof EnvHttpProxyAgent)
+    await fromEnv.close()
+  })
+
+  it('should build TLS options inline and from files', async () => {
+    const caFile = join(directory, 'ca.pem')
+    const extraCaFile = join(directory, 'extra-ca.pem')
+    const keyFile = join(directory, 'client.key')
+    await writeFile(caFile, 'CA')
+    await writeFile(extraCaFile, 'EXTRA')
+    await writeFile(keyFile, 'KEY')
+
+    const tls = await buildTlsOptions({
+      caFile: [caFile, extraCaFile],
+      cert: 'CERT',
+      keyFile,
+      passphrase: 'secret',
+      rejectUnauthorized: false,
+      servername: 'ingress.eu1.coralogix.com'
+    })
+
+    assert.deepStrictEqual(tls, {
+      ca: ['CA', 'EXTRA'],
+      cert: 'CERT',
+      key: 'KEY',
+      passphrase: 'secret',
+      rejectUnauthorized: false,
+      servername: 'ingress.eu1.coralogix.com'
+    })
+  })
+
+  it('should keep the client certificate out of the proxy TLS options', async () => {
+    const proxyCaFile = join(directory, 'proxy-ca.pem')
+    await writeFile(proxyCaFile, 'PROXY CA')
+
+    const config = { ca: 'CA', cert: 'CERT', key: 'KEY', passphrase: 'secret', proxyCaFile }
+    assert.deepStrictEqual(await buildProxyTlsOptions(config), { ca: 'PROXY CA' })
+    assert.deepStrictEqual(await buildProxyTlsOptions({ proxyCa: ['ONE', 'TWO'] }), { ca: ['ONE', 'TWO'] })
+    assert.deepStrictEqual(await buildProxyTlsOptions({ ca: 'CA', cert: 'CERT', key: 'KEY' }), {})
+  })
+
+  it('should send logs through an HTTP proxy', async () => {
+    let receivedLogs = null
+    const target = createServer((req, res) => {
+      let body = ''
+      req.on('data', (chunk) => { body += chunk })
+      req.on('end', () => {
+        receivedLogs = JSON.parse(body)
+        res.end('{}')
+      })
+    })
+    target.listen(0, '127.0.0.1')
+    await once(target, 'listening')
+
+    const tunnels = []
+    const proxy = createServer()
+    proxy.on('connect', (req, socket) => {
+      tunnels.push(req.url)
+      const [host, port] = req.url.split(':')
+      const upstream = connect(Number(port), host, () => {
+        socket.write('HTTP/1.1 200 Connection Established\r\n\r\n')
+        upstream.pipe(socket)
+        socket.pipe(upstream)
+      })
+    })
+    proxy.listen(0, '127.0.0.1')
+    await once(proxy, 'listening')
+
+    const targetAddress = `127.0.0.1:${target.address().port}`
+    const dispatcher = await createDispatcher({ proxy: `http://127.0.0.1:${proxy.address().port}` })
+
+    try {
+      await sendLogs([{ text: 'via proxy' }], {
+        endpoint: `http://${targetAddress}`,
+        apiKey: 'test-key',
+        timeout: 5000,
+        dispatcher
+      })
+
+      assert.deepStrictEqual(tunnels, [targetAddress])
+      assert.deepStrictEqual(receivedLogs, [{ text: 'via proxy' }])
+    } finally {
+      await dispatcher.close()
+      proxy.closeAllConnections()
+      target.closeAllConnections()
+      proxy.close()
+      target.close()
+    }
+  })
+})
@@ -0,0 +1,122 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert'
+import { serializeError, parseTopFrame, isErrorLike } from '../src/errors.js'
+
+describe('Error Serialization', () => {
+  it('should serialize an Error instance', () => {
+    const err = new TypeError('boom')
+    const result = serializeError(err)
+
+    assert.strictEqual(result.type, 'TypeError')
+    assert.strictEqual(result.message, 'boom')
+    assert.strictEqual(typeof result.stack, 'string')
+  })
+
+  it('should keep custom properties', () => {
+    const err = new Error('boom')
+    err.code = 'ECONNREFUSED'
+    err.port = 5432
+
+    const result = serializeError(err)
+
+    assert.strictEqual(result.code, 'ECONNREFUSED')
+    assert.strictEqual(result.port, 5432)
+  })
+
+  it('should follow the cause chain', () => {
+    const root = new Error('root')
+    const middle = new Error('middle', { cause: root })
+    const err = new Error('top', { cause: middle })
+
+    const result = serializeError(err)
+
+    assert.strictEqual(result.cause.message, 'middle')
+    assert.strictEqual(result.cause.cause.message, 'root')
+    assert.strictEqual(typeof result.cause.cause.stack, 'string')
+  })
+
+  it('should serialize AggregateError errors', () => {
+    const err = new AggregateError([new Error('a'), new RangeError('b')], 'many')
+
+    const result = serializeError(err)
+
+    assert.strictEqual(result.type, 'AggregateError')
+    assert.strictEqual(result.errors, undefined)
+    assert.strictEqual(result.aggregateErrors.length, 2)
+    assert.strictEqual(result.aggregateErrors[1].type, 'RangeError')
+  })
+
+  it('should leave the errors field of other errors untouched', () => {
+    const err = Object.assign(new Error('invalid'), { errors: [{ field: 'name', reason: 'required' }] })
+    const serialized = { type: 'ValidationError', message: 'invalid', stack: 'ValidationError: invalid', errors: ['name'] }
+
+    const result = serializeError(err)
+
+    assert.deepStrictEqual(result.errors, [{ field: 'name', reason: 'required' }])
+    assert.strictEqual(result.aggregateErrors, undefined)
+    assert.deepStrictEqual(serializeError(serialized), serialized)
+  })
+
+  it('should normalize errors already serialized by Pino', () => {
+    const err = {
+      type: 'Error',
+      message: 'outer',
+      stack: 'Error: outer\n    at main (app.js:1:1)',
+      code: 'E1',
+      aggregateErrors: [{ type: 'Error', message: 'inner', stack: 'Error: inner' }]
+    }
+
+    const result = serializeError(err, { stackFormat: 'lines' })
+
+    assert.deepStrictEqual(result.stack, ['Error: outer', 'at main (app.js:1:1)'])
+    assert.strictEqual(result.code, 'E1')
+    assert.deepStrictEqual(result.aggregateErrors[0].stack, ['Error: inner'])
+  })
+
+  it('should split the stack into lines', () => {
+    const err = new Error('boom')
+    const result = serializeError(err, { stackFormat: 'lines' })
+
+    assert.ok(Array.isArray(result.stack))
+    assert.strictEqual(result.stack[0], 'Error: boom')
+    assert.ok(result.stack[1].startsWith('at '))
+  })
+
+  it('should stop on circular causes', () => {
+    const err = new Error('loop')
+    err.cause = err
+
+    const result = serializeError(err)
+
+    assert.strictEqual(result.message, 'loop')
+  })
+
+  it('should return non error values unchanged', () => {
+    assert.strictEqual(serializeError('text'), 'text')
+    assert.deepStrictEqual(serializeError({ code: 1 }), { code: 1 })
+    assert.strictEqual(isErrorLike(null), false)
+    assert.strictEqual(isErrorLike({ message: 'x' }), true)
+  })
+
+  it('should parse class and method from the top frame', () => {
+    const stack = 'Error: boom\n    at UserService.create (/app/user.js:10:5)\n    at main (/app/index.js:1:1)'
+    assert.deepStrictEqual(parseTopFrame(stack), { className: 'UserService', methodName: 'create' })
+  })
+
+  it('should parse async and constructor frames', () => {
+    assert.deepStrictEqual(
+      parseTopFrame('Error\n    at async Db.query (/app/db.js:1:1)'),
+      { className: 'Db', methodName: 'query' }
+    )
+    assert.deepStrictEqual(
+      parseTopFrame('Error\n    at new Client (/app/client.js:1:1)'),
+      { className: undefined, methodName: 'Client' }
+    )
+  })
+
+  it('should return null for anonymous or missing frames', () => {
+    assert.strictEqual(parseTopFrame('Error\n    at /app/index.js:1:1'), null)
+    assert.strictEqual(parseTopFrame('Error: no frames'), null)
+    assert.strictEqual(parseTopFrame(undefined), null)
+  })
+})
@@ -0,0 +1,61 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert'
+import { EventPublisher, subscribe } from '../src/events.js'
+
+describe('Events', () => {
+  // Channels are unref'd, the timeout keeps the test alive until the event arrives
+  const nextEvent = (name) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('No event received')), 1000)
+    const unsubscribe = subscribe(name, (event) => {
+      clearTimeout(timer)
+      unsubscribe()
+      resolve(event)
+    })
+  })
+
+  it('should deliver published events to subscribers', async () => {
+    const publisher = new EventPublisher('test-events-deliver')
+    const received = nextEvent('test-events-deliver')
+
+    publisher.publish('drop', { reason: 'overflow', count: 3 })
+    const event = await received
+    publisher.close()
+
+    assert.strictEqual(event.type, 'drop')
+    assert.strictEqual(event.reason, 'overflow')
+    assert.strictEqual(event.count, 3)
+    assert.strictEqual(typeof event.time, 'number')
+  })
+
+  it('should serialize errors with their properties', async () => {
+    const publisher = new EventPublisher('test-events-error')
+    const received = nextEvent('test-events-error')
+
+    const error = new Error('HTTP 500: oops', { cause: new Error('socket hang up') })
+    error.statusCode = 500
+    error.unsentLogs = [{ text: 'a' }, { text: 'b' }]
+    publisher.publish('error', { error })
+    const event = await received
+    publisher.close()
+
+    assert.strictEqual(event.error.type, 'Error')
+    assert.strictEqual(event.error.message, 'HTTP 500: oops')
+    assert.strictEqual(event.error.statusCode, 500)
+    assert.strictEqual(event.error.cause.message, 'socket hang up')
+    assert.strictEqual(event.error.unsentCount, 2)
+    assert.strictEqual(event.error.unsentLogs, undefined)
+  })
+
+  it('should ignore events published after close', async () => {
+    const publisher = new EventPublisher('test-events-closed')
+    const events = []
+    const unsubscribe = subscribe('test-events-closed', (event) => events.push(event))
+
+    publisher.close()
+    publisher.publish('drop', { reason: 'parse', count: 1 })
+    await new Promise((resolve) => setTimeout(resolve, 20))
+    unsubscribe()
+
+    assert.deepStrictEqual(events, [])
+  })
+})
@@ -1,7 +1,8 @@
 import { describe, it, beforeEach, afterEach } from 'node:test'
 import assert from 'node:assert'
 import { MockAgent, setGlobalDispatcher, getGlobalDispatcher } from 'undici'
-import { sendLogs } from '../src/http.js'
+import { gunzipSync, inflateSync } from 'node:zlib'
+import { sendLogs, buildEndpointUrl } from '../src/http.js'
 
 describe('HTTP Client', () => {
   let mockAgent
@@ -188,6 +189,29 @@ describe('HTTP Client', () => {
     )
   })
 
+  it('should expose response headers on HttpError', async () => {
+    const config = {
+      domain: 'us1',
+      apiKey: 'test-key',
+      timeout: 5000
+    }
+
+    const logs = [{ applicationName: 'test', subsystemName: 'api', timestamp: Date.now(), text: 'test' }]
+
+    const mockPool = mockAgent.get('https://ingress.us1.coralogix.com')
+    mockPool
+      .intercept({ path: '/logs/v1/singles', method: 'POST' })
+      .reply(429, { error: 'Too Many Requests' }, { headers: { 'retry-after': '5' } })
+
+    await assert.rejects(
+      async () => await sendLogs(logs, config),
+      (error) => {
+        assert.strictEqual(error.headers['retry-after'], '5')
+        return true
+      }
+    )
+  })
+
   it('should handle 500 Server Error', async () => {
     const config = {
       domain: 'us1',
@@ -258,4 +282,213 @@ describe('HTTP Client', () => {
 
     await sendLogs(logs, config)
   })
+
+  it('should gzip the request body when compression is gzip', async () => {
+    const config = {
+      domain: 'us1',
+      apiKey: 'test-key',
+      timeout: 5000,
+      compression: 'gzip'
+    }
+
+    const logs = Array.from({ length: 50 }, (_, i) => ({ applicationName: 'test', subsystemName: 'api', timestamp: i, text: 'repeated text' }))
+
+    let receivedLogs = null
+    const mockPool = mockAgent.get('https://ingress.us1.coralogix.com')
+    mockPool
+      .intercept({
+        path: '/logs/v1/singles',
+        method: 'POST',
+        headers: { 'Content-Encoding': 'gzip' }
+      })
+      .reply(200, (opts) => {
+        receivedLogs = JSON.parse(gunzipSync(opts.body))
+        return { status: 'ok' }
+      })
+
+    const result = await sendLogs(logs, config)
+
+    assert.strictEqual(receivedLogs.length, 50)
+    assert.strictEqual(result.bytes, Buffer.byteLength(JSON.stringify(logs)))
+    assert.ok(result.sentBytes < result.bytes, 'Compressed body should be smaller')
+  })
+
+  it('should deflate the request body when compression is deflate', async () => {
+    const config = {
+      domain: 'us1',
+      apiKey: 'test-key',
+      timeout: 5000,
+      compression: 'deflate',
+      compressionLevel: 9
+    }
+
+    const logs = [{ applicationName: 'test', subsystemName: 'api', timestamp: Date.now(), text: 'test' }]
+
+    let receivedLogs = null
+    const mockPool = mockAgent.get('https://ingress.us1.coralogix.com')
+    mockPool
+      .intercept({
+        path: '/logs/v1/singles',
+        method: 'POST',
+        headers: { 'Content-Encoding': 'deflate' }
+      })
+      .reply(200, (opts) => {
+        receivedLogs = JSON.parse(inflateSync(opts.body))
+        return { status: 'ok' }
+      })
+
+    await sendLogs(logs, config)
+
+    assert.deepStrictEqual(receivedLogs, logs)
+  })
+
+  it('should not compress when compression is none', async () => {
+    const config = {
+      domain: 'us1',
+      apiKey: 'test-key',
+      timeout: 5000,
+      compression: 'none'
+    }
+
+    const logs = [{ applicationName: 'test', subsystemName: 'api', timestamp: Date.now(), text: 'test' }]
+
+    const mockPool = mockAgent.get('https://ingress.us1.coralogix.com')
+    mockPool
+      .intercept({
+        path: '/logs/v1/singles',
+        method: 'POST',
+        headers: (headers) => headers['content-encoding'] === undefined && headers['Content-Encoding'] === undefined
+      })
+      .reply(200, { status: 'ok' })
+
+    const result = await sendLogs(logs, config)
+
+    assert.strictEqual(result.sentBytes, result.bytes)
+  })
+
+  it('should send to a custom endpoint', async () => {
+    const config = {
+      endpoint: 'https://coralogix.vpce.internal:8443/logs/v1/singles',
+      apiKey: 'test-key',
+      timeout: 5000
+    }
+
+    const logs = [{ applicationName: 'test', subsystemName: 'api', timestamp: Date.now(), text: 'test' }]
+
+    const mockPool = mockAgent.get('https://coralogix.vpce.internal:8443')
+    mockPool
+      .intercept({ path: '/logs/v1/singles', method: 'POST' })
+      .reply(200, { status: 'ok' })
+
+    const result = await sendLogs(logs, config)
+    assert.strictEqual(result.success, true)
+  })
+
+  it('should build URLs for region codes, full domains and endpoints', () => {
+    assert.strictEqual(buildEndpointUrl({ domain: 'cx498' }), 'https://ingress.cx498.coralogix.com/logs/v1/singles')
+    assert.strictEqual(buildEndpointUrl({ domain: 'eu2.coralogix.com' }), 'https://ingress.eu2.coralogix.com/logs/v1/singles')
+    assert.strictEqual(buildEndpointUrl({ domain: 'ingress.coralogix.us' }), 'https://ingress.coralogix.us/logs/v1/singles')
+    assert.strictEqual(buildEndpointUrl({ endpoint: 'http://localhost:4318' }), 'http://localhost:4318/logs/v1/singles')
+    assert.strictEqual(buildEndpointUrl({ endpoint: 'https://logs.example.com/custom/path', domain: 'eu1' }), 'https://logs.example.com/custom/path')
+  })
+
+  it('should send grouped logs to the bulk endpoint', async () => {
+    const config = {
+      domain: 'us1',
+      apiKey: 'test-key',
+      timeout: 5000,
+      endpointType: 'bulk'
+    }
+
+    const logs = [
+      { applicationName: 'test', subsystemName: 'api', timestamp: 1, text: 'a' },
+      { applicationName: 'test', subsystemName: 'api', timestamp: 2, text: 'b' }
+    ]
+
+    let received = null
+    const mockPool = mockAgent.get('https://ingress.us1.coralogix.com')
+    mockPool
+      .intercept({ path: '/logs/v1/bulk', method: 'POST' })
+      .reply(200, (opts) => {
+        received = JSON.parse(opts.body)
+        return { status: 'ok' }
+      })
+
+    const result = await sendLogs(logs, config)
+
+    assert.deepStrictEqual(received, [{
+      applicationName: 'test',
+      subsystemName: 'api',
+      logEntries: [{ timestamp: 1, text: 'a' }, { timestamp: 2, text: 'b' }]
+    }])
+    assert.strictEqual(result.bytes, Buffer.byteLength(JSON.stringify(received)))
+  })
+
+  it('should build bulk and OTLP URLs', () => {
+    assert.strictEqual(buildEndpointUrl({ domain: 'eu1', protocol: 'otlp' }), 'https://ingress.eu1.coralogix.com/v1/logs')
+    assert.strictEqual(buildEndpointUrl({ endpoint: 'http://localhost:4318', protocol: 'otlp' }), 'http://localhost:4318/v1/logs')
+    assert.strictEqual(buildEndpointUrl({ domain: 'eu1', endpointType: 'bulk' }), 'https://ingress.eu1.coralogix.com/logs/v1/bulk')
+  })
+
+  it('should send OTLP/HTTP JSON with the Coralogix headers', async () => {
+    const config = {
+      domain: 'us1',
+      apiKey: 'test-key',
+      applicationName: 'test',
+      subsystemName: 'api',
+      timeout: 5000,
+      protocol: 'otlp',
+      otlpEncoding: 'json'
+    }
+
+    const logs = [{ applicationName: 'test', subsystemName: 'api', timestamp: 1675148539123, severity: 3, text: { message: 'test' } }]
+
+    let received = null
+    const mockPool = mockAgent.get('https://ingress.us1.coralogix.com')
+    mockPool
+      .intercept({
+        path: '/v1/logs',
+        method: 'POST',
+        headers: {
+          Authorization: 'Bearer test-key',
+          'Content-Type': 'application/json',
+          'CX-Application-Name': 'test',
+          'CX-Subsystem-Name': 'api'
+        }
+      })
+      .reply(200, (opts) => {
+        received = JSON.parse(opts.body)
+        return {}
+      })
+
+    const result = await sendLogs(logs, config)
+
+    assert.strictEqual(received.resourceLogs[0].scopeLogs[0].logRecords[0].body.stringValue, 'test')
+    assert.strictEqual(result.bytes, Buffer.byteLength(JSON.stringify(received)))
+  })
+
+  it('should send OTLP/HTTP protobuf by default', async () => {
+    const config = {
+      domain: 'us1',
+      apiKey: 'test-key',
+      applicationName: 'test',
+      subsystemName: 'api',
+      timeout: 5000,
+      protocol: 'otlp'
+    }
+
+    const logs = [{ applicationName: 'test', subsystemName: 'api', timestamp: Date.now(), severity: 3, text: 'test' }]
+
+    const mockPool = mockAgent.get('https://ingress.us1.coralogix.com')
+    mockPool
+      .intercept({
+        path: '/v1/logs',
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-protobuf' }
+      })
+      .reply(200, '')
+
+    const result = await sendLogs(logs, config)
+    assert.strictEqual(result.success, true)
+  })
 })
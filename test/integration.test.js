@@ -2,7 +2,10 @@ import { describe, it, beforeEach, afterEach } from 'node:test'
 import assert from 'node:assert'
 import { MockAgent, setGlobalDispatcher, getGlobalDispatcher } from 'undici'
 import pino from 'pino'
-import { build } from '../src/index.js'
+import { mkdtemp, readdir, readFile, rm } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { build, replayDeadLetters, subscribe } from '../src/index.js'
 
 describe('Integration Tests', () => {
   let mockAgent
@@ -65,9 +68,9 @@ describe('Integration Tests', () => {
     assert.ok(requestReceived, 'Request should have been sent')
     assert.ok(Array.isArray(receivedLogs), 'Logs should be an array')
     assert.strictEqual(receivedLogs.length, 2)
-    assert.strictEqual(receivedLogs[0].text, 'First message')
+    assert.strictEqual(receivedLogs[0].text.message, 'First message')
     assert.strictEqual(receivedLogs[0].severity, 3) // info
-    assert.strictEqual(receivedLogs[1].text, 'Second message')
+    assert.strictEqual(receivedLogs[1].text.message, 'Second message')
     assert.strictEqual(receivedLogs[1].severity, 4) // warn
   })
 
@@ -189,4 +192,707 @@ describe('Integration Tests', () => {
     assert.strictEqual(receivedLogs[0].methodName, 'login')
     assert.strictEqual(receivedLogs[0].threadId, 'thread-123')
   })
+
+  it('should send structured fields in text', async () => {
+    const config = {
+      domain: 'us1',
+      apiKey: 'test-key',
+      applicationName: 'test-app',
+      subsystemName: 'test-subsystem',
+      batchSize: 1,
+      flushInterval: 5000,
+      excludeFields: ['pid']
+    }
+
+    const mockPool = mockAgent.get('https://ingress.us1.coralogix.com')
+
+    let receivedLogs = null
+
+    mockPool
+      .intercept({ path: '/logs/v1/singles', method: 'POST' })
+      .reply(200, (opts) => {
+        receivedLogs = JSON.parse(opts.body)
+        return { status: 'ok' }
+      })
+
+    const transport = await build(config)
+    const logger = pino(transport).child({ module: 'billing' })
+
+    logger.warn({ userId: 123 }, 'User session expired')
+
+    await new Promise(resolve => setTimeout(resolve, 50))
+    await new Promise((resolve) => transport.end(() => resolve()))
+
+    assert.deepStrictEqual(receivedLogs[0].text, {
+      message: 'User session expired',
+      module: 'billing',
+      userId: 123
+    })
+  })
+
+  it('should redact logs before sending', async () => {
+    const config = {
+      domain: 'us1',
+      apiKey: 'test-key',
+      applicationName: 'test-app',
+      subsystemName: 'test-subsystem',
+      batchSize: 1,
+      flushInterval: 5000,
+      redactPaths: ['user.password'],
+      redactPatterns: ['email']
+    }
+
+    const mockPool = mockAgent.get('https://ingress.us1.coralogix.com')
+
+    let receivedLogs = null
+
+    mockPool
+      .intercept({ path: '/logs/v1/singles', method: 'POST' })
+      .reply(200, (opts) => {
+        receivedLogs = JSON.parse(opts.body)
+        return { status: 'ok' }
+      })
+
+    const transport = await build(config)
+    const logger = pino(transport)
+
+    logger.info({ user: { name: 'jane', password: 'hunter2' } }, 'Signup from jane@example.com')
+
+    await new Promise(resolve => setTimeout(resolve, 50))
+    await new Promise((resolve) => transport.end(() => resolve()))
+
+    assert.strictEqual(receivedLogs[0].text.message, 'Signup from [REDACTED]')
+    assert.deepStrictEqual(receivedLogs[0].text.user, { name: 'jane', password: '[REDACTED]' })
+  })
+
+  it('should send logs grouped by subsystem to the bulk endpoint', async () => {
+    const config = {
+      domain: 'us1',
+      apiKey: 'test-key',
+      applicationName: 'test-app',
+      subsystemName: 'test-subsystem',
+      subsystemNameKey: 'module',
+      computerName: 'host-1',
+      flushInterval: 5000,
+      endpointType: 'bulk'
+    }
+
+    const mockPool = mockAgent.get('https://ingress.us1.coralogix.com')
+
+    let received = null
+
+    mockPool
+      .intercept({ path: '/logs/v1/bulk', method: 'POST' })
+      .reply(200, (opts) => {
+        received = JSON.parse(opts.body)
+        return { status: 'ok' }
+      })
+
+    const transport = await build(config)
+    const logger = pino(transport)
+
+    logger.info({ module: 'orders' }, 'first')
+    logger.info({ module: 'billing' }, 'second')
+    logger.info({ module: 'orders' }, 'third')
+
+    await new Promise(resolve => setTimeout(resolve, 50))
+    await new Promise((resolve) => transport.end(() => resolve()))
+
+    assert.deepStrictEqual(
+      received.map((group) => [group.subsystemName, group.computerName, group.logEntries.map((entry) => entry.text.message)]),
+      [['orders', 'host-1', ['first', 'third']], ['billing', 'host-1', ['second']]]
+    )
+    assert.strictEqual(received[0].logEntries[0].applicationName, undefined)
+  })
+
+  it('should export logs over OTLP/HTTP', async () => {
+    const config = {
+      domain: 'us1',
+      apiKey: 'test-key',
+      applicationName: 'test-app',
+      subsystemName: 'test-subsystem',
+      batchSize: 1,
+      flushInterval: 5000,
+      protocol: 'otlp',
+      otlpEncoding: 'json'
+    }
+
+    const mockPool = mockAgent.get('https://ingress.us1.coralogix.com')
+
+    let received = null
+
+    mockPool
+      .intercept({ path: '/v1/logs', method: 'POST' })
+      .reply(200, (opts) => {
+        received = JSON.parse(opts.body)
+        return {}
+      })
+
+    const transport = await build(config)
+    const logger = pino(transport)
+
+    logger.child({ module: 'orders' }).error({
+      trace_id: '4bf92f3577b34da6a3ce929d0e0e4736',
+      span_id: '00f067aa0ba902b7',
+      trace_flags: '01'
+    }, 'Payment failed')
+
+    await new Promise(resolve => setTimeout(resolve, 50))
+    await new Promise((resolve) => transport.end(() => resolve()))
+
+    const [resourceLogs] = received.resourceLogs
+    assert.deepStrictEqual(resourceLogs.resource.attributes.slice(0, 3), [
+      { key: 'service.name', value: { stringValue: 'test-app' } },
+      { key: 'cx.application.name', value: { stringValue: 'test-app' } },
+      { key: 'cx.subsystem.name', value: { stringValue: 'test-subsystem' } }
+    ])
+
+    const [record] = resourceLogs.scopeLogs[0].logRecords
+    assert.strictEqual(record.severityText, 'ERROR')
+    assert.deepStrictEqual(record.body, { stringValue: 'Payment failed' })
+    assert.strictEqual(record.traceId, '4bf92f3577b34da6a3ce929d0e0e4736')
+    assert.strictEqual(record.spanId, '00f067aa0ba902b7')
+    assert.ok(record.attributes.some(({ key, value }) => key === 'module' && value.stringValue === 'orders'))
+  })
+
+  it('should retry a failed batch', async () => {
+    const config = {
+      domain: 'us1',
+      apiKey: 'test-key',
+      applicationName: 'test-app',
+      subsystemName: 'test-subsystem',
+      batchSize: 1,
+      flushInterval: 10,
+      retryBaseDelay: 1
+    }
+
+    const mockPool = mockAgent.get('https://ingress.us1.coralogix.com')
+
+    let receivedLogs = null
+
+    mockPool
+      .intercept({ path: '/logs/v1/singles', method: 'POST' })
+      .reply(502, { error: 'Bad Gateway' })
+    mockPool
+      .intercept({ path: '/logs/v1/singles', method: 'POST' })
+      .reply(200, (opts) => {
+        receivedLogs = JSON.parse(opts.body)
+        return { status: 'ok' }
+      })
+
+    const transport = await build(config)
+    const logger = pino(transport)
+
+    logger.info('retried message')
+
+    await new Promise(resolve => setTimeout(resolve, 100))
+    await new Promise((resolve) => transport.end(() => resolve()))
+
+    assert.ok(receivedLogs, 'Batch should be delivered after retry')
+    assert.strictEqual(receivedLogs[0].text.message, 'retried message')
+  })
+
+  it('should send a request every batchSize logs', async () => {
+    const requests = []
+    const transport = await build({
+      domain: 'us1',
+      apiKey: 'test-key',
+      applicationName: 'test-app',
+      subsystemName: 'test-subsystem',
+      batchSize: 100,
+      flushInterval: 5000
+    })
+
+    mockAgent.get('https://ingress.us1.coralogix.com')
+      .intercept({ path: '/logs/v1/singles', method: 'POST' })
+      .reply((opts) => {
+        requests.push(JSON.parse(opts.body).length)
+        return { statusCode: 200, data: { status: 'ok' } }
+      })
+      .persist()
+
+    for (let i = 0; i < 250; i++) {
+      transport.write(JSON.stringify({ level: 30, time: Date.now(), msg: `message ${i}` }) + '\n')
+    }
+    await new Promise(resolve => setTimeout(resolve, 100))
+    assert.deepStrictEqual(requests, [100, 100], 'Full batches should be sent before the interval')
+
+    await new Promise((resolve) => transport.end(() => resolve()))
+    assert.deepStrictEqual(requests, [100, 100, 50])
+  })
+
+  it('should retry without waiting out Retry-After when closing', async () => {
+    const errors = []
+    const receivedLogs = []
+    const transport = await build({
+      domain: 'us1',
+      apiKey: 'test-key',
+      applicationName: 'test-app',
+      subsystemName: 'test-subsystem',
+      flushInterval: 10,
+      onError: (error) => errors.push(error)
+    })
+
+    const mockPool = mockAgent.get('https://ingress.us1.coralogix.com')
+    mockPool
+      .intercept({ path: '/logs/v1/singles', method: 'POST' })
+      .reply(503, 'Unavailable', { headers: { 'retry-after': '3600' } })
+    mockPool
+      .intercept({ path: '/logs/v1/singles', method: 'POST' })
+      .reply((opts) => {
+        receivedLogs.push(...JSON.parse(opts.body))
+        return { statusCode: 200, data: { status: 'ok' } }
+      })
+
+    const logger = pino(transport)
+    logger.info('waiting message')
+
+    // Let the first attempt fail and the retry delay start
+    await new Promise(resolve => setTimeout(resolve, 100))
+    const start = Date.now()
+    await new Promise((resolve) => {
+      transport.once('close', resolve)
+      transport.end()
+    })
+
+    assert.ok(Date.now() - start < 1000, 'Close should not wait out Retry-After')
+    assert.deepStrictEqual(receivedLogs.map((log) => log.text.message), ['waiting message'])
+    assert.strictEqual(errors.length, 0)
+  })
+
+  it('should retry the final flush after the input ends', async () => {
+    const receivedLogs = []
+    const transport = await build({
+      domain: 'us1',
+      apiKey: 'test-key',
+      applicationName: 'test-app',
+      subsystemName: 'test-subsystem',
+      flushInterval: 5000
+    })
+
+    const mockPool = mockAgent.get('https://ingress.us1.coralogix.com')
+    mockPool
+      .intercept({ path: '/logs/v1/singles', method: 'POST' })
+      .reply(502, 'Bad Gateway')
+    mockPool
+      .intercept({ path: '/logs/v1/singles', method: 'POST' })
+      .reply((opts) => {
+        receivedLogs.push(...JSON.parse(opts.body))
+        return { statusCode: 200, data: { status: 'ok' } }
+      })
+      .persist()
+
+    for (let i = 0; i < 10; i++) {
+      transport.write(JSON.stringify({ level: 30, time: Date.now(), msg: `message ${i}` }) + '\n')
+    }
+    await new Promise((resolve) => {
+      transport.once('close', resolve)
+      transport.end()
+    })
+
+    assert.strictEqual(receivedLogs.length, 10)
+    assert.strictEqual(transport.stats().dropped.failed, 0)
+  })
+
+  it('should bisect a rejected batch and report only the bad log', async () => {
+    const errors = []
+    const transport = await build({
+      domain: 'us1',
+      apiKey: 'test-key',
+      applicationName: 'test-app',
+      subsystemName: 'test-subsystem',
+      batchSize: 4,
+      flushInterval: 10,
+      maxRetries: 0,
+      onError: (error) => errors.push(error)
+    })
+
+    const receivedLogs = []
+    const mockPool = mockAgent.get('https://ingress.us1.coralogix.com')
+    mockPool
+      .intercept({ path: '/logs/v1/singles', method: 'POST' })
+      .reply((opts) => {
+        const logs = JSON.parse(opts.body)
+        if (logs.some((log) => log.text.message === 'bad')) {
+          return { statusCode: 400, data: { error: 'Bad Request' } }
+        }
+        receivedLogs.push(...logs)
+        return { statusCode: 200, data: { status: 'ok' } }
+      })
+      .persist()
+
+    const logger = pino(transport)
+    logger.info('one')
+    logger.info('two')
+    logger.info('bad')
+    logger.info('four')
+
+    await new Promise(resolve => setTimeout(resolve, 100))
+    await new Promise((resolve) => transport.end(() => resolve()))
+
+    assert.deepStrictEqual(receivedLogs.map((log) => log.text.message), ['one', 'two', 'four'])
+    assert.strictEqual(errors.length, 1)
+    assert.strictEqual(errors[0].name, 'RejectedLogError')
+    assert.strictEqual(errors[0].log.text.message, 'bad')
+  })
+
+  it('should report a batch rejected as a whole once', async () => {
+    const errors = []
+    let requests = 0
+    const transport = await build({
+      domain: 'us1',
+      apiKey: 'test-key',
+      applicationName: 'test-app',
+      subsystemName: 'test-subsystem',
+      flushInterval: 5000,
+      onError: (error) => errors.push(error)
+    })
+
+    mockAgent.get('https://ingress.us1.coralogix.com')
+      .intercept({ path: '/logs/v1/singles', method: 'POST' })
+      .reply(() => {
+        requests++
+        return { statusCode: 400, data: { error: 'Invalid application name' } }
+      })
+      .persist()
+
+    for (let i = 0; i < 50; i++) {
+      transport.write(JSON.stringify({ level: 30, time: Date.now(), msg: `message ${i}` }) + '\n')
+    }
+    await new Promise((resolve) => {
+      transport.once('close', resolve)
+      transport.end()
+    })
+
+    assert.strictEqual(requests, 4)
+    assert.strictEqual(errors.length, 1)
+    assert.strictEqual(errors[0].name, 'RejectedBatchError')
+    assert.strictEqual(errors[0].logs.length, 50)
+    assert.strictEqual(transport.stats().dropped.rejected, 50)
+  })
+
+  it('should keep reading and drop logs by default while Coralogix is down', async () => {
+    const transport = await build({
+      domain: 'us1',
+      apiKey: 'test-key',
+      applicationName: 'test-app',
+      subsystemName: 'test-subsystem',
+      flushInterval: 10,
+      maxRetries: 0,
+      circuitFailureThreshold: 1,
+      maxBufferedRecords: 50,
+      onError: () => {}
+    })
+
+    mockAgent.get('https://ingress.us1.coralogix.com')
+      .intercept({ path: '/logs/v1/singles', method: 'POST' })
+      .reply(503, 'Unavailable')
+      .persist()
+
+    for (let i = 0; i < 2000; i++) {
+      transport.write(JSON.stringify({ level: 30, time: Date.now(), msg: `message ${i}` }) + '\n')
+    }
+    await new Promise(resolve => setTimeout(resolve, 300))
+
+    const stats = transport.stats()
+    assert.strictEqual(stats.recordsIn, 2000, 'Every line should be read')
+    assert.ok(stats.dropped.overflow > 0)
+    assert.strictEqual(transport.writableLength, 0)
+
+    await new Promise((resolve) => transport.end(() => resolve()))
+  })
+
+  it('should stop sending and report once when the API key is rejected', async () => {
+    const errors = []
+    const transport = await build({
+      domain: 'us1',
+      apiKey: 'revoked-key',
+      applicationName: 'test-app',
+      subsystemName: 'test-subsystem',
+      batchSize: 1,
+      flushInterval: 10,
+      circuitResetTimeout: 10000,
+      onError: (error) => errors.push(error)
+    })
+
+    let requests = 0
+    const mockPool = mockAgent.get('https://ingress.us1.coralogix.com')
+    mockPool
+      .intercept({ path: '/logs/v1/singles', method: 'POST' })
+      .reply(() => {
+        requests++
+        return { statusCode: 401, data: { error: 'Unauthorized' } }
+      })
+      .persist()
+
+    const logger = pino(transport)
+    logger.info('first')
+    await new Promise(resolve => setTimeout(resolve, 50))
+    logger.info('second')
+    logger.info('third')
+    await new Promise(resolve => setTimeout(resolve, 50))
+
+    assert.strictEqual(transport.stats().circuitState, 'unauthorized')
+    await new Promise((resolve) => transport.end(() => resolve()))
+
+    assert.strictEqual(requests, 1, 'Only the first batch should reach Coralogix')
+    assert.strictEqual(errors.filter((error) => error.name === 'AuthenticationError').length, 1)
+  })
+
+  it('should sample logs and send a summary of suppressed logs', async () => {
+    const transport = await build({
+      domain: 'us1',
+      apiKey: 'test-key',
+      applicationName: 'test-app',
+      subsystemName: 'test-subsystem',
+      flushInterval: 5000,
+      sampleRates: { verbose: 0 }
+    })
+
+    let receivedLogs = null
+    const mockPool = mockAgent.get('https://ingress.us1.coralogix.com')
+    mockPool
+      .intercept({ path: '/logs/v1/singles', method: 'POST' })
+      .reply(200, (opts) => {
+        receivedLogs = JSON.parse(opts.body)
+        return { status: 'ok' }
+      })
+
+    const logger = pino({ level: 'debug' }, transport)
+    logger.debug('noise')
+    logger.debug('more noise')
+    logger.info('kept')
+
+    await new Promise(resolve => setTimeout(resolve, 50))
+    await new Promise((resolve) => transport.end(() => resolve()))
+
+    assert.strictEqual(receivedLogs.length, 2)
+    assert.strictEqual(receivedLogs[0].text.message, 'kept')
+    assert.strictEqual(receivedLogs[1].text.message, 'Suppressed 2 logs by sampling and rate limiting')
+    assert.deepStrictEqual(receivedLogs[1].text.suppressed, { verbose: { sampled: 2, rateLimited: 0 } })
+    assert.strictEqual(transport.stats().dropped.sampled, 2)
+  })
+
+  it('should redact the rate limit keys of the summary', async () => {
+    const transport = await build({
+      domain: 'us1',
+      apiKey: 'test-key',
+      applicationName: 'test-app',
+      subsystemName: 'test-subsystem',
+      flushInterval: 5000,
+      redactPatterns: ['email'],
+      rateLimits: { info: 1 },
+      rateLimitKey: 'msg'
+    })
+
+    let receivedLogs = null
+    mockAgent.get('https://ingress.us1.coralogix.com')
+      .intercept({ path: '/logs/v1/singles', method: 'POST' })
+      .reply(200, (opts) => {
+        receivedLogs = JSON.parse(opts.body)
+        return { status: 'ok' }
+      })
+
+    const logger = pino(transport)
+    for (let i = 0; i < 5; i++) {
+      logger.info('Signup from jane@example.com')
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 50))
+    await new Promise((resolve) => transport.end(() => resolve()))
+
+    assert.strictEqual(receivedLogs.length, 2)
+    assert.strictEqual(receivedLogs[0].text.message, 'Signup from [REDACTED]')
+    assert.deepStrictEqual(receivedLogs[1].text.suppressed.info.keys, [{ key: 'Signup from [REDACTED]', count: 4 }])
+    assert.ok(!JSON.stringify(receivedLogs).includes('jane@example.com'))
+  })
+
+  it('should expose transport statistics', async () => {
+    const transport = await build({
+      domain: 'us1',
+      apiKey: 'test-key',
+      applicationName: 'test-app',
+      subsystemName: 'test-subsystem',
+      batchSize: 2,
+      flushInterval: 5000
+    })
+
+    const mockPool = mockAgent.get('https://ingress.us1.coralogix.com')
+    mockPool
+      .intercept({ path: '/logs/v1/singles', method: 'POST' })
+      .reply(200, { status: 'ok' })
+
+    transport.write('not json\n')
+    transport.write(JSON.stringify({ level: 30, time: Date.now(), msg: 'one' }) + '\n')
+    transport.write(JSON.stringify({ level: 30, time: Date.now(), msg: 'two' }) + '\n')
+
+    await new Promise(resolve => setTimeout(resolve, 50))
+    await new Promise((resolve) => transport.end(() => resolve()))
+    await new Promise(resolve => setTimeout(resolve, 50))
+
+    const stats = transport.stats()
+    assert.strictEqual(stats.recordsIn, 3)
+    assert.strictEqual(stats.recordsSent, 2)
+    assert.strictEqual(stats.batchesSent, 1)
+    assert.ok(stats.bytesSent > 0)
+    assert.deepStrictEqual(stats.statusCodes, { 200: 1 })
+    assert.strictEqual(stats.dropped.parse, 1)
+    assert.strictEqual(stats.latency.count, 1)
+    assert.ok(stats.lastSuccessAt > 0)
+    assert.match(transport.prometheusMetrics(), /^coralogix_transport_records_sent_total 2$/m)
+  })
+
+  it('should write failed logs to a dead-letter file and replay them', async () => {
+    const directory = await mkdtemp(join(tmpdir(), 'pino-coralogix-dead-letter-'))
+    const deadLetterFile = join(directory, 'dead-letter.ndjson')
+    const config = {
+      domain: 'us1',
+      apiKey: 'test-key',
+      applicationName: 'test-app',
+      subsystemName: 'test-subsystem',
+      flushInterval: 5000,
+      maxRetries: 0
+    }
+
+    const mockPool = mockAgent.get('https://ingress.us1.coralogix.com')
+
+    try {
+      mockPool
+        .intercept({ path: '/logs/v1/singles', method: 'POST' })
+        .reply(401, { error: 'Unauthorized' })
+
+      const transport = await build({ ...config, deadLetterFile })
+      const logger = pino(transport)
+      logger.info('first')
+      logger.info('second')
+
+      await new Promise(resolve => setTimeout(resolve, 50))
+      await new Promise((resolve) => transport.end(() => resolve()))
+      await new Promise(resolve => setTimeout(resolve, 50))
+
+      const entries = (await readFile(deadLetterFile, 'utf8')).trim().split('\n').map((line) => JSON.parse(line))
+      assert.strictEqual(entries.length, 2)
+      assert.strictEqual(entries[0].statusCode, 401)
+      assert.strictEqual(entries[0].attempts, 1)
+      assert.strictEqual(entries[1].log.text.message, 'second')
+      assert.strictEqual(transport.stats().deadLettered, 2)
+
+      let receivedLogs = null
+      mockPool
+        .intercept({ path: '/logs/v1/singles', method: 'POST' })
+        .reply(200, (opts) => {
+          receivedLogs = JSON.parse(opts.body)
+          return { status: 'ok' }
+        })
+
+      const result = await replayDeadLetters(deadLetterFile, { ...config, apiKey: 'new-key' })
+
+      assert.deepStrictEqual(result, { sent: 2, failed: 0 })
+      assert.deepStrictEqual(receivedLogs.map((log) => log.text.message), ['first', 'second'])
+
+      await assert.rejects(
+        replayDeadLetters(deadLetterFile, { ...config, deadLetterFile }),
+        { message: /must differ/ }
+      )
+    } finally {
+      await rm(directory, { recursive: true, force: true })
+    }
+  })
+
+  it('should report send failures of a worker thread transport to the main thread', async () => {
+    const events = []
+    // The error is reported before the batch is dropped
+    const dropped = new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error('No drop event received')), 5000)
+      const unsubscribe = subscribe('test-integration-events', (event) => {
+        events.push(event)
+        if (event.type === 'drop') {
+          clearTimeout(timer)
+          unsubscribe()
+          resolve()
+        }
+      })
+    })
+
+    // Nothing listens on port 1, so the worker's request fails right away
+    const transport = pino.transport({
+      target: new URL('../src/index.js', import.meta.url).href,
+      options: {
+        endpoint: 'http://127.0.0.1:1',
+        apiKey: 'test-key',
+        applicationName: 'test-app',
+        subsystemName: 'test-subsystem',
+        flushInterval: 10,
+        maxRetries: 0,
+        eventChannel: 'test-integration-events'
+      }
+    })
+    const logger = pino(transport)
+
+    logger.info('Lost message')
+    await dropped
+
+    // The worker is unref'd, keep the test alive until it exits
+    const keepAlive = setTimeout(() => {}, 5000)
+    await new Promise((resolve) => {
+      transport.once('close', resolve)
+      transport.end()
+    })
+    clearTimeout(keepAlive)
+
+    const [error, drop] = events
+    assert.strictEqual(error.type, 'error')
+    assert.match(error.error.message, /ECONNREFUSED/)
+    assert.deepStrictEqual([drop.type, drop.reason, drop.count], ['drop', 'failed', 1])
+  })
+
+  it('should spool failed batches and replay them on the next start', async () => {
+    const spoolDir = await mkdtemp(join(tmpdir(), 'pino-coralogix-spool-'))
+    const config = {
+      domain: 'us1',
+      apiKey: 'test-key',
+      applicationName: 'test-app',
+      subsystemName: 'test-subsystem',
+      batchSize: 1,
+      flushInterval: 5000,
+      maxRetries: 0,
+      spoolDir
+    }
+
+    const mockPool = mockAgent.get('https://ingress.us1.coralogix.com')
+
+    try {
+      mockPool
+        .intercept({ path: '/logs/v1/singles', method: 'POST' })
+        .reply(503, { error: 'Service Unavailable' })
+
+      const transport = await build(config)
+      const logger = pino(transport)
+
+      logger.info('kept on disk')
+
+      await new Promise(resolve => setTimeout(resolve, 50))
+      await new Promise((resolve) => transport.end(() => resolve()))
+      await new Promise(resolve => setTimeout(resolve, 50))
+
+      assert.strictEqual((await readdir(spoolDir)).length, 1, 'Batch should be spooled')
+
+      let receivedLogs = null
+      mockPool
+        .intercept({ path: '/logs/v1/singles', method: 'POST' })
+        .reply(200, (opts) => {
+          receivedLogs = JSON.parse(opts.body)
+          return { status: 'ok' }
+        })
+
+      const restarted = await build(config)
+      await new Promise(resolve => setTimeout(resolve, 50))
+      await new Promise((resolve) => restarted.end(() => resolve()))
+
+      assert.strictEqual(receivedLogs[0].text.message, 'kept on disk')
+      assert.strictEqual((await readdir(spoolDir)).length, 0, 'Spool should be drained')
+    } finally {
+      await rm(spoolDir, { recursive: true, force: true })
+    }
+  })
 })
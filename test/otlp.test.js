@@ -0,0 +1,210 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert'
+import { toLogRecord, toExportLogsRequest, encodeExportLogsRequest, encodeOtlpLogs } from '../src/otlp.js'
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736'
+const SPAN_ID = '00f067aa0ba902b7'
+
+/**
+ * Decodes a protobuf message into { field: [values] }, nested messages stay buffers
+ */
+function decode (buffer) {
+  const fields = {}
+  let offset = 0
+
+  const varint = () => {
+    let value = 0n
+    let shift = 0n
+    let byte
+    do {
+      byte = buffer[offset++]
+      value |= BigInt(byte & 0x7f) << shift
+      shift += 7n
+    } while (byte & 0x80)
+    return value
+  }
+
+  while (offset < buffer.length) {
+    const tag = Number(varint())
+    const field = tag >> 3
+    let value
+    switch (tag & 7) {
+      case 0:
+        value = varint()
+        break
+      case 1:
+        value = buffer.subarray(offset, offset + 8)
+        offset += 8
+        break
+      case 2: {
+        const length = Number(varint())
+        value = buffer.subarray(offset, offset + length)
+        offset += length
+        break
+      }
+      case 5:
+        value = buffer.readUInt32LE(offset)
+        offset += 4
+        break
+    }
+    (fields[field] ??= []).push(value)
+  }
+  return fields
+}
+
+const decodeKeyValue = (buffer) => {
+  const keyValue = decode(buffer)
+  return [keyValue[1][0].toString(), decode(keyValue[2][0])]
+}
+
+describe('OTLP', () => {
+  const config = { messageKey: 'message' }
+
+  it('should convert a log to a LogRecord', () => {
+    const record = toLogRecord({
+      timestamp: 1675148539123.5,
+      applicationName: 'app',
+      subsystemName: 'api',
+      severity: 4,
+      text: { message: 'Disk almost full', pid: 42, disk: { free: 0.5, mounted: true }, tags: ['a'] },
+      className: 'DiskMonitor',
+      methodName: 'check',
+      threadId: 'worker-1'
+    }, config)
+
+    assert.deepStrictEqual(record, {
+      timeUnixNano: '1675148539123500000',
+      severityNumber: 13,
+      severityText: 'WARN',
+      body: { stringValue: 'Disk almost full' },
+      attributes: [
+        { key: 'pid', value: { intValue: '42' } },
+        {
+          key: 'disk',
+          value: {
+            kvlistValue: {
+              values: [
+                { key: 'free', value: { doubleValue: 0.5 } },
+                { key: 'mounted', value: { boolValue: true } }
+              ]
+            }
+          }
+        },
+        { key: 'tags', value: { arrayValue: { values: [{ stringValue: 'a' }] } } },
+        { key: 'code.namespace', value: { stringValue: 'DiskMonitor' } },
+        { key: 'code.function', value: { stringValue: 'check' } },
+        { key: 'thread.name', value: { stringValue: 'worker-1' } }
+      ]
+    })
+  })
+
+  it('should map every Coralogix severity', () => {
+    const severities = [1, 2, 3, 4, 5, 6].map((severity) => {
+      const { severityNumber, severityText } = toLogRecord({ timestamp: 0, severity, text: '' }, config)
+      return [severityNumber, severityText]
+    })
+
+    assert.deepStrictEqual(severities, [[1, 'TRACE'], [5, 'DEBUG'], [9, 'INFO'], [13, 'WARN'], [17, 'ERROR'], [21, 'FATAL']])
+  })
+
+  it('should use hiResTimestamp and string texts as is', () => {
+    const record = toLogRecord({ timestamp: 1, hiResTimestamp: '1000000123', severity: 3, text: 'plain' }, config)
+
+    assert.strictEqual(record.timeUnixNano, '1000000123')
+    assert.deepStrictEqual(record.body, { stringValue: 'plain' })
+    assert.deepStrictEqual(record.attributes, [])
+  })
+
+  it('should move the trace context to the record', () => {
+    const record = toLogRecord({
+      timestamp: 1,
+      severity: 3,
+      text: { message: 'traced', traceId: TRACE_ID, spanId: SPAN_ID, traceFlags: '01' }
+    }, config)
+
+    assert.strictEqual(record.traceId, TRACE_ID)
+    assert.strictEqual(record.spanId, SPAN_ID)
+    assert.strictEqual(record.flags, 1)
+    assert.deepStrictEqual(record.attributes, [])
+  })
+
+  it('should keep invalid trace ids as attributes', () => {
+    const record = toLogRecord({ timestamp: 1, severity: 3, text: { traceId: 'abc' } }, config)
+
+    assert.strictEqual(record.traceId, undefined)
+    assert.strictEqual(record.body, undefined)
+    assert.deepStrictEqual(record.attributes, [{ key: 'traceId', value: { stringValue: 'abc' } }])
+  })
+
+  it('should group logs by resource', () => {
+    const request = toExportLogsRequest([
+      { applicationName: 'app', subsystemName: 'api', computerName: 'host-1', timestamp: 1, severity: 3, text: 'a' },
+      { applicationName: 'app', subsystemName: 'worker', timestamp: 2, severity: 3, text: 'b' },
+      { applicationName: 'app', subsystemName: 'api', computerName: 'host-1', timestamp: 3, severity: 3, text: 'c' }
+    ], { resourceAttributes: { 'deployment.environment': 'prod' } })
+
+    assert.strictEqual(request.resourceLogs.length, 2)
+    assert.deepStrictEqual(request.resourceLogs[0].resource.attributes, [
+      { key: 'service.name', value: { stringValue: 'app' } },
+      { key: 'cx.application.name', value: { stringValue: 'app' } },
+      { key: 'cx.subsystem.name', value: { stringValue: 'api' } },
+      { key: 'host.name', value: { stringValue: 'host-1' } },
+      { key: 'deployment.environment', value: { stringValue: 'prod' } }
+    ])
+    assert.deepStrictEqual(request.resourceLogs[0].scopeLogs[0].scope, { name: 'pino-coralogix' })
+    assert.deepStrictEqual(
+      request.resourceLogs[0].scopeLogs[0].logRecords.map((record) => record.body.stringValue),
+      ['a', 'c']
+    )
+    assert.strictEqual(request.resourceLogs[1].resource.attributes.length, 4, 'No host.name without computerName')
+  })
+
+  it('should let resourceAttributes override service.name', () => {
+    const request = toExportLogsRequest(
+      [{ applicationName: 'app', subsystemName: 'api', timestamp: 1, severity: 3, text: 'a' }],
+      { resourceAttributes: { 'service.name': 'checkout' } }
+    )
+
+    assert.deepStrictEqual(request.resourceLogs[0].resource.attributes[0], { key: 'service.name', value: { stringValue: 'checkout' } })
+  })
+
+  it('should encode the request as protobuf', () => {
+    const request = toExportLogsRequest([{
+      applicationName: 'app',
+      subsystemName: 'api',
+      timestamp: 1675148539123,
+      severity: 5,
+      text: { message: 'failed', attempt: -1, ok: false, traceId: TRACE_ID, spanId: SPAN_ID, traceFlags: '01' }
+    }], config)
+
+    const resourceLogs = decode(decode(encodeExportLogsRequest(request))[1][0])
+    const resource = decode(resourceLogs[1][0])
+    assert.deepStrictEqual(
+      resource[1].map(decodeKeyValue).map(([key, value]) => [key, value[1][0].toString()]),
+      [['service.name', 'app'], ['cx.application.name', 'app'], ['cx.subsystem.name', 'api']]
+    )
+
+    const scopeLogs = decode(resourceLogs[2][0])
+    assert.strictEqual(decode(scopeLogs[1][0])[1][0].toString(), 'pino-coralogix')
+
+    const record = decode(scopeLogs[2][0])
+    assert.strictEqual(record[1][0].readBigUInt64LE(), 1675148539123000000n)
+    assert.strictEqual(record[2][0], 17n)
+    assert.strictEqual(record[3][0].toString(), 'ERROR')
+    assert.strictEqual(decode(record[5][0])[1][0].toString(), 'failed')
+    assert.strictEqual(record[8][0], 1)
+    assert.strictEqual(record[9][0].toString('hex'), TRACE_ID)
+    assert.strictEqual(record[10][0].toString('hex'), SPAN_ID)
+
+    const attributes = Object.fromEntries(record[6].map(decodeKeyValue))
+    assert.strictEqual(BigInt.asIntN(64, attributes.attempt[3][0]), -1n)
+    assert.strictEqual(attributes.ok[2][0], 0n, 'false must still be written')
+  })
+
+  it('should serialize as JSON or protobuf', () => {
+    const logs = [{ applicationName: 'app', subsystemName: 'api', timestamp: 1, severity: 3, text: 'a' }]
+
+    assert.deepStrictEqual(JSON.parse(encodeOtlpLogs(logs, { otlpEncoding: 'json' })), toExportLogsRequest(logs, {}))
+    assert.ok(Buffer.isBuffer(encodeOtlpLogs(logs, {})))
+  })
+})
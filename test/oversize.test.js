@@ -0,0 +1,81 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert'
+import { fitLog, byteLength } from '../src/oversize.js'
+
+describe('Oversize Logs', () => {
+  const base = { applicationName: 'app', subsystemName: 'api', severity: 3, timestamp: 1675148539123 }
+
+  it('should keep logs that fit', () => {
+    const log = { ...base, text: 'small' }
+    assert.deepStrictEqual(fitLog(log, 1000), [log])
+  })
+
+  it('should truncate the text with a marker by default', () => {
+    const log = { ...base, text: 'x'.repeat(2000) }
+
+    const [result] = fitLog(log, 1000)
+
+    assert.ok(byteLength(result) <= 1000)
+    assert.ok(byteLength(result) > 950, 'Truncation should keep as much text as possible')
+    assert.ok(result.text.endsWith('...[truncated]'))
+  })
+
+  it('should truncate multi-byte text by bytes', () => {
+    const log = { ...base, text: '日本語😀'.repeat(500) }
+
+    const [result] = fitLog(log, 1000, 'truncate')
+
+    assert.ok(byteLength(result) <= 1000)
+    assert.ok(!/[\uD800-\uDBFF]\.\.\./.test(result.text), 'Should not cut a surrogate pair')
+  })
+
+  it('should measure logs with a custom size function', () => {
+    const log = { ...base, text: 'x'.repeat(600) }
+    const measure = (candidate) => byteLength(candidate) * 2
+
+    assert.deepStrictEqual(fitLog(log, 1000), [log])
+    const [result] = fitLog(log, 1000, 'truncate', measure)
+
+    assert.ok(measure(result) <= 1000)
+    assert.ok(result.text.endsWith('...[truncated]'))
+  })
+
+  it('should serialize object text before truncating', () => {
+    const log = { ...base, text: { message: 'big', payload: 'y'.repeat(2000) } }
+
+    const [result] = fitLog(log, 500)
+
+    assert.strictEqual(typeof result.text, 'string')
+    assert.ok(result.text.startsWith('{"message":"big"'))
+    assert.ok(byteLength(result) <= 500)
+  })
+
+  it('should split the text into chunks sharing a chunkId', () => {
+    const text = 'abcdefghij'.repeat(300)
+    const log = { ...base, text }
+
+    const chunks = fitLog(log, 1000, 'split')
+
+    assert.ok(chunks.length > 1)
+    const chunkId = chunks[0].text.chunkId
+    chunks.forEach((chunk, index) => {
+      assert.ok(byteLength(chunk) <= 1000)
+      assert.strictEqual(chunk.text.chunkId, chunkId)
+      assert.strictEqual(chunk.text.chunkIndex, index)
+      assert.strictEqual(chunk.text.chunkCount, chunks.length)
+      assert.strictEqual(chunk.severity, 3)
+    })
+    assert.strictEqual(chunks.map((chunk) => chunk.text.chunk).join(''), text)
+  })
+
+  it('should drop oversize logs with the drop policy', () => {
+    const log = { ...base, text: 'x'.repeat(2000) }
+    assert.deepStrictEqual(fitLog(log, 1000, 'drop'), [])
+  })
+
+  it('should drop logs whose metadata alone is too large', () => {
+    const log = { ...base, className: 'C'.repeat(2000), text: 'x' }
+    assert.deepStrictEqual(fitLog(log, 1000, 'truncate'), [])
+    assert.deepStrictEqual(fitLog(log, 1000, 'split'), [])
+  })
+})
@@ -0,0 +1,186 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert'
+import { retry, isRetriable, parseRetryAfter, computeDelay, RetryError } from '../src/retry.js'
+
+function httpError (statusCode, headers = {}) {
+  const error = new Error(`HTTP ${statusCode}`)
+  error.statusCode = statusCode
+  error.headers = headers
+  return error
+}
+
+describe('Retry Logic', () => {
+  const config = {
+    maxRetries: 3,
+    retryBaseDelay: 1,
+    retryMaxDelay: 5
+  }
+
+  it('should return the result on first success', async () => {
+    let calls = 0
+    const result = await retry(async () => {
+      calls++
+      return 'ok'
+    }, config)
+
+    assert.strictEqual(result, 'ok')
+    assert.strictEqual(calls, 1)
+  })
+
+  it('should retry transient failures until success', async () => {
+    let calls = 0
+    const result = await retry(async () => {
+      calls++
+      if (calls < 3) {
+        throw httpError(502)
+      }
+      return 'ok'
+    }, config)
+
+    assert.strictEqual(result, 'ok')
+    assert.strictEqual(calls, 3)
+  })
+
+  it('should retry network errors', async () => {
+    let calls = 0
+    await retry(async () => {
+      calls++
+      if (calls === 1) {
+        throw new Error('ECONNRESET')
+      }
+    }, config)
+
+    assert.strictEqual(calls, 2)
+  })
+
+  it('should give up after maxRetries with a RetryError', async () => {
+    let calls = 0
+    await assert.rejects(
+      retry(async () => {
+        calls++
+        throw httpError(500)
+      }, config),
+      (error) => {
+        assert.ok(error instanceof RetryError)
+        assert.strictEqual(error.attempts, 4)
+        assert.strictEqual(error.statusCode, 500)
+        assert.match(error.message, /Giving up after 4 attempts/)
+        assert.strictEqual(error.cause.statusCode, 500)
+        return true
+      }
+    )
+
+    assert.strictEqual(calls, 4)
+  })
+
+  it('should not retry 400, 401 and 403', async () => {
+    for (const statusCode of [400, 401, 403]) {
+      let calls = 0
+      await assert.rejects(
+        retry(async () => {
+          calls++
+          throw httpError(statusCode)
+        }, config),
+        { name: 'RetryError', statusCode, attempts: 1 }
+      )
+      assert.strictEqual(calls, 1, `${statusCode} should not be retried`)
+    }
+  })
+
+  it('should not retry when maxRetries is 0', async () => {
+    let calls = 0
+    await assert.rejects(
+      retry(async () => {
+        calls++
+        throw httpError(503)
+      }, { ...config, maxRetries: 0 }),
+      { attempts: 1 }
+    )
+    assert.strictEqual(calls, 1)
+  })
+
+  it('should classify retriable errors', () => {
+    assert.strictEqual(isRetriable(new Error('socket hang up')), true)
+    assert.strictEqual(isRetriable(httpError(408)), true)
+    assert.strictEqual(isRetriable(httpError(429)), true)
+    assert.strictEqual(isRetriable(httpError(500)), true)
+    assert.strictEqual(isRetriable(httpError(503)), true)
+    assert.strictEqual(isRetriable(httpError(400)), false)
+    assert.strictEqual(isRetriable(httpError(401)), false)
+    assert.strictEqual(isRetriable(httpError(403)), false)
+    assert.strictEqual(isRetriable(httpError(413)), false)
+  })
+
+  it('should parse Retry-After in seconds', () => {
+    assert.strictEqual(parseRetryAfter('2'), 2000)
+    assert.strictEqual(parseRetryAfter('0'), 0)
+  })
+
+  it('should parse Retry-After as HTTP date', () => {
+    const date = new Date(Date.now() + 10000).toUTCString()
+    const delay = parseRetryAfter(date)
+    assert.ok(delay > 8000 && delay <= 10000)
+  })
+
+  it('should ignore missing or invalid Retry-After', () => {
+    assert.strictEqual(parseRetryAfter(undefined), null)
+    assert.strictEqual(parseRetryAfter(''), null)
+    assert.strictEqual(parseRetryAfter('soon'), null)
+  })
+
+  it('should honour Retry-After on 429 and 503', () => {
+    const backoff = { retryBaseDelay: 1, retryMaxDelay: 30000 }
+    assert.strictEqual(computeDelay(1, httpError(429, { 'retry-after': '3' }), backoff), 3000)
+    assert.strictEqual(computeDelay(1, httpError(503, { 'retry-after': '1' }), backoff), 1000)
+  })
+
+  it('should cap Retry-After at retryMaxDelay', () => {
+    const backoff = { retryBaseDelay: 1, retryMaxDelay: 30000 }
+    assert.strictEqual(computeDelay(1, httpError(503, { 'retry-after': '3600' }), backoff), 30000)
+  })
+
+  it('should cut the delay and keep retrying when the signal is aborted', async () => {
+    const controller = new AbortController()
+    let calls = 0
+    const start = Date.now()
+
+    const attempt = retry(async () => {
+      calls++
+      if (calls === 1) {
+        throw httpError(503, { 'retry-after': '3600' })
+      }
+      return 'ok'
+    }, { maxRetries: 3, retryBaseDelay: 10, retryMaxDelay: 60000 }, controller.signal)
+    setTimeout(() => controller.abort(), 20)
+
+    assert.strictEqual(await attempt, 'ok')
+    assert.strictEqual(calls, 2)
+    assert.ok(Date.now() - start < 1000)
+  })
+
+  it('should still retry up to maxRetries once the signal is aborted', async () => {
+    const controller = new AbortController()
+    controller.abort()
+    let calls = 0
+
+    await assert.rejects(retry(async () => {
+      calls++
+      throw httpError(500)
+    }, { maxRetries: 3, retryBaseDelay: 1, retryMaxDelay: 60000 }, controller.signal), /Giving up after 4 attempts/)
+    assert.strictEqual(calls, 4)
+  })
+
+  it('should ignore Retry-After on other status codes', () => {
+    const backoff = { retryBaseDelay: 1, retryMaxDelay: 5 }
+    const delay = computeDelay(1, httpError(500, { 'retry-after': '3' }), backoff)
+    assert.ok(delay < 5)
+  })
+
+  it('should cap exponential backoff at retryMaxDelay', () => {
+    const backoff = { retryBaseDelay: 100, retryMaxDelay: 1000 }
+    for (let i = 0; i < 20; i++) {
+      const delay = computeDelay(10, httpError(500), backoff)
+      assert.ok(delay >= 0 && delay < 1000)
+    }
+  })
+})
@@ -0,0 +1,75 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert'
+import { resolveNames, renderTemplate, getField } from '../src/routing.js'
+
+describe('Name Routing', () => {
+  const config = {
+    applicationName: 'default-app',
+    subsystemName: 'default-subsystem'
+  }
+
+  it('should fall back to config names', () => {
+    assert.deepStrictEqual(resolveNames({ msg: 'test' }, config), {
+      applicationName: 'default-app',
+      subsystemName: 'default-subsystem'
+    })
+  })
+
+  it('should read names from log fields', () => {
+    const log = { subsystem: 'queue-consumer', app: 'billing' }
+    const result = resolveNames(log, { ...config, subsystemNameKey: 'subsystem', applicationNameKey: 'app' })
+    assert.deepStrictEqual(result, { applicationName: 'billing', subsystemName: 'queue-consumer' })
+  })
+
+  it('should fall back when the field is missing or empty', () => {
+    const result = resolveNames({ subsystem: '' }, { ...config, subsystemNameKey: 'subsystem' })
+    assert.strictEqual(result.subsystemName, 'default-subsystem')
+  })
+
+  it('should render templates', () => {
+    const log = { service: 'api', env: 'prod' }
+    const result = resolveNames(log, { ...config, applicationNameTemplate: '{service}-{env}' })
+    assert.strictEqual(result.applicationName, 'api-prod')
+  })
+
+  it('should fall back when a template field is missing', () => {
+    const result = resolveNames({ service: 'api' }, { ...config, applicationNameTemplate: '{service}-{env}' })
+    assert.strictEqual(result.applicationName, 'default-app')
+  })
+
+  it('should use the first matching route', () => {
+    const routes = [
+      { match: { module: 'cron' }, subsystemName: 'cron-jobs' },
+      { match: { module: ['queue', 'worker'] }, subsystemName: 'consumers', applicationName: 'async' },
+      { match: {}, subsystemName: 'catch-all' }
+    ]
+
+    assert.deepStrictEqual(resolveNames({ module: 'worker' }, { ...config, routes }), {
+      applicationName: 'async',
+      subsystemName: 'consumers'
+    })
+    assert.strictEqual(resolveNames({ module: 'cron' }, { ...config, routes }).subsystemName, 'cron-jobs')
+    assert.strictEqual(resolveNames({ module: 'http' }, { ...config, routes }).subsystemName, 'catch-all')
+  })
+
+  it('should match nested fields and render templates in routes', () => {
+    const routes = [{ match: { 'req.method': 'GET' }, subsystemName: 'read-{module}' }]
+    const result = resolveNames({ req: { method: 'GET' }, module: 'users' }, { ...config, routes })
+    assert.strictEqual(result.subsystemName, 'read-users')
+  })
+
+  it('should prefer routes over fields and templates', () => {
+    const result = resolveNames({ module: 'cron', subsystem: 'field' }, {
+      ...config,
+      subsystemNameKey: 'subsystem',
+      routes: [{ match: { module: 'cron' }, subsystemName: 'route' }]
+    })
+    assert.strictEqual(result.subsystemName, 'route')
+  })
+
+  it('should read nested fields', () => {
+    assert.strictEqual(getField({ a: { b: { c: 1 } } }, 'a.b.c'), 1)
+    assert.strictEqual(getField({ a: 1 }, 'a.b'), undefined)
+    assert.strictEqual(renderTemplate('{a.b}', { a: { b: 'x' } }), 'x')
+  })
+})
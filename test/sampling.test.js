@@ -0,0 +1,111 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert'
+import { createSampler } from '../src/sampling.js'
+import { SEVERITY } from '../src/severity.js'
+
+describe('Sampling and Rate Limiting', () => {
+  it('should not create a sampler when nothing is configured', () => {
+    assert.strictEqual(createSampler({}), null)
+  })
+
+  it('should keep about the configured share of logs', () => {
+    const sampler = createSampler({ sampleRates: { verbose: 0.25 } })
+
+    let kept = 0
+    for (let i = 0; i < 10000; i++) {
+      if (sampler.check({}, SEVERITY.verbose) === null) {
+        kept++
+      }
+    }
+
+    assert.ok(kept > 2000 && kept < 3000, `Expected about 2500 logs kept, got ${kept}`)
+  })
+
+  it('should only sample the configured severities', () => {
+    const sampler = createSampler({ sampleRates: { debug: 0 } })
+
+    assert.strictEqual(sampler.check({}, SEVERITY.debug), 'sampled')
+    assert.strictEqual(sampler.check({}, SEVERITY.info), null)
+  })
+
+  it('should accept numeric severities as keys', () => {
+    const sampler = createSampler({ sampleRates: { 3: 0 } })
+
+    assert.strictEqual(sampler.check({}, SEVERITY.info), 'sampled')
+  })
+
+  it('should never sample warn, error and critical logs', () => {
+    assert.throws(() => createSampler({ sampleRates: { warn: 0.5 } }), /never sampled/)
+    assert.throws(() => createSampler({ rateLimits: { error: 10 } }), /never sampled/)
+    assert.throws(() => createSampler({ sampleRates: { loud: 0.5 } }), /Invalid severity in sampleRates: loud/)
+
+    const sampler = createSampler({ sampleRates: { info: 0 } })
+    assert.strictEqual(sampler.check({}, SEVERITY.warn), null)
+    assert.strictEqual(sampler.check({}, SEVERITY.critical), null)
+  })
+
+  it('should rate limit with a token bucket', async () => {
+    const sampler = createSampler({ rateLimits: { info: { rate: 100, burst: 3 } } })
+
+    const results = Array.from({ length: 5 }, () => sampler.check({}, SEVERITY.info))
+    assert.deepStrictEqual(results, [null, null, null, 'rateLimited', 'rateLimited'])
+
+    // 100 logs per second refill a token every 10ms
+    await new Promise((resolve) => setTimeout(resolve, 30))
+    assert.strictEqual(sampler.check({}, SEVERITY.info), null)
+  })
+
+  it('should use the rate as burst when given a number', () => {
+    const sampler = createSampler({ rateLimits: { info: 2 } })
+
+    const results = Array.from({ length: 3 }, () => sampler.check({}, SEVERITY.info))
+    assert.deepStrictEqual(results, [null, null, 'rateLimited'])
+  })
+
+  it('should rate limit each value of rateLimitKey separately', () => {
+    const sampler = createSampler({ rateLimits: { info: 1 }, rateLimitKey: 'req.route' })
+
+    assert.strictEqual(sampler.check({ req: { route: '/health' } }, SEVERITY.info), null)
+    assert.strictEqual(sampler.check({ req: { route: '/health' } }, SEVERITY.info), 'rateLimited')
+    assert.strictEqual(sampler.check({ req: { route: '/users' } }, SEVERITY.info), null)
+  })
+
+  it('should summarize suppressed logs and reset the counts', () => {
+    const sampler = createSampler({
+      sampleRates: { debug: 0 },
+      rateLimits: { info: 1 },
+      rateLimitKey: 'msg'
+    })
+
+    sampler.check({ msg: 'a' }, SEVERITY.debug)
+    sampler.check({ msg: 'a' }, SEVERITY.debug)
+    sampler.check({ msg: 'tick' }, SEVERITY.info)
+    sampler.check({ msg: 'tick' }, SEVERITY.info)
+    sampler.check({ msg: 'tick' }, SEVERITY.info)
+
+    assert.deepStrictEqual(sampler.takeSummary(), {
+      total: 4,
+      bySeverity: {
+        debug: { sampled: 2, rateLimited: 0 },
+        info: { sampled: 0, rateLimited: 2, keys: [{ key: 'tick', count: 2 }] }
+      }
+    })
+    assert.strictEqual(sampler.takeSummary(), null)
+  })
+
+  it('should cap the number of keys counted between summaries', () => {
+    const sampler = createSampler({ rateLimits: { info: 1 }, rateLimitKey: 'msg' })
+
+    for (let i = 0; i < 150; i++) {
+      sampler.check({ msg: `message ${i}` }, SEVERITY.info)
+      sampler.check({ msg: `message ${i}` }, SEVERITY.info)
+    }
+    sampler.check({ msg: 'message 0' }, SEVERITY.info)
+
+    const { info } = sampler.takeSummary().bySeverity
+    assert.strictEqual(info.rateLimited, 151)
+    assert.strictEqual(info.keys.length, 100)
+    assert.deepStrictEqual(info.keys[0], { key: 'message 0', count: 2 })
+    assert.strictEqual(info.otherKeys, 50)
+  })
+})
@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert'
+import { resolveSeverity, toSeverity } from '../src/severity.js'
+
+describe('Severity Mapping', () => {
+  it('should map default Pino levels', () => {
+    assert.deepStrictEqual(
+      [10, 20, 30, 40, 50, 60].map((level) => resolveSeverity(level, {})),
+      [1, 2, 3, 4, 5, 6]
+    )
+  })
+
+  it('should map custom levels to the closest default level below', () => {
+    assert.strictEqual(resolveSeverity(32, {}), 3) // notice
+    assert.strictEqual(resolveSeverity(35, {}), 3) // audit
+    assert.strictEqual(resolveSeverity(55, {}), 5) // security
+    assert.strictEqual(resolveSeverity(5, {}), 1)
+    assert.strictEqual(resolveSeverity(100, {}), 6)
+  })
+
+  it('should map level labels', () => {
+    assert.strictEqual(resolveSeverity('trace', {}), 1)
+    assert.strictEqual(resolveSeverity('warn', {}), 4)
+    assert.strictEqual(resolveSeverity('FATAL', {}), 6)
+    assert.strictEqual(resolveSeverity('40', {}), 4)
+  })
+
+  it('should default unknown labels and missing levels to info', () => {
+    assert.strictEqual(resolveSeverity('audit', {}), 3)
+    assert.strictEqual(resolveSeverity(undefined, {}), 3)
+  })
+
+  it('should use severityMap by numeric level', () => {
+    const config = { severityMap: { 35: 'warn', 55: 6 } }
+    assert.strictEqual(resolveSeverity(35, config), 4)
+    assert.strictEqual(resolveSeverity(55, config), 6)
+    assert.strictEqual(resolveSeverity(30, config), 3)
+  })
+
+  it('should use severityMap by label', () => {
+    const config = { severityMap: { audit: 'warn', security: 'critical' } }
+    assert.strictEqual(resolveSeverity('audit', config), 4)
+    assert.strictEqual(resolveSeverity('security', config), 6)
+  })
+
+  it('should apply severityMap numbers to default labels', () => {
+    const config = { severityMap: { 20: 'debug' } }
+    assert.strictEqual(resolveSeverity('debug', config), 1)
+  })
+
+  it('should use severityRanges', () => {
+    const config = {
+      severityRanges: [
+        { max: 29, severity: 'debug' },
+        { min: 50, max: 59, severity: 'critical' }
+      ]
+    }
+    assert.strictEqual(resolveSeverity(20, config), 1)
+    assert.strictEqual(resolveSeverity(55, config), 6)
+    assert.strictEqual(resolveSeverity(40, config), 4)
+  })
+
+  it('should prefer severityMap over severityRanges', () => {
+    const config = {
+      severityMap: { 55: 'error' },
+      severityRanges: [{ min: 50, severity: 'critical' }]
+    }
+    assert.strictEqual(resolveSeverity(55, config), 5)
+    assert.strictEqual(resolveSeverity(60, config), 6)
+  })
+
+  it('should convert severities by number and name', () => {
+    assert.strictEqual(toSeverity(4), 4)
+    assert.strictEqual(toSeverity('Critical'), 6)
+    assert.strictEqual(toSeverity(7), null)
+    assert.strictEqual(toSeverity('fatal'), null)
+    assert.strictEqual(toSeverity(undefined), null)
+  })
+})
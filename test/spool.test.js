@@ -0,0 +1,144 @@
+import { describe, it, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import { mkdtemp, readdir, rm, writeFile } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { DiskSpool } from '../src/spool.js'
+
+describe('Disk Spool', () => {
+  let directory
+  let spool
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'pino-coralogix-spool-'))
+    spool = new DiskSpool({
+      directory,
+      maxSegmentBytes: 1024,
+      maxBytes: 10 * 1024
+    })
+    await spool.init()
+  })
+
+  afterEach(async () => {
+    await rm(directory, { recursive: true, force: true })
+  })
+
+  it('should write a batch as a segment file', async () => {
+    await spool.write([{ text: 'log1' }, { text: 'log2' }])
+
+    const segments = await spool.segments()
+    assert.strictEqual(segments.length, 1)
+    assert.ok(segments[0].endsWith('.ndjson'))
+    assert.ok(await spool.sizeBytes() > 0)
+  })
+
+  it('should split large batches into several segments', async () => {
+    const batch = Array.from({ length: 10 }, (_, i) => ({ text: `${i}`.padEnd(200, 'x') }))
+
+    await spool.write(batch)
+
+    const segments = await spool.segments()
+    assert.ok(segments.length > 1, 'Batch should be split')
+  })
+
+  it('should drain segments in order and delete them', async () => {
+    await spool.write([{ text: 'first' }])
+    await spool.write([{ text: 'second' }])
+
+    const sent = []
+    await spool.drain(async (logs) => {
+      sent.push(...logs.map((log) => log.text))
+    })
+
+    assert.deepStrictEqual(sent, ['first', 'second'])
+    assert.strictEqual((await spool.segments()).length, 0)
+  })
+
+  it('should keep remaining segments when sending fails', async () => {
+    await spool.write([{ text: 'first' }])
+    await spool.write([{ text: 'second' }])
+
+    let calls = 0
+    await assert.rejects(
+      spool.drain(async (logs) => {
+        calls++
+        if (logs[0].text === 'second') {
+          throw new Error('unreachable')
+        }
+      }),
+      { message: 'unreachable' }
+    )
+
+    assert.strictEqual(calls, 2)
+    assert.strictEqual((await spool.segments()).length, 1)
+  })
+
+  it('should keep only unsent logs of a partially sent segment', async () => {
+    await spool.write([{ text: 'a' }, { text: 'b' }, { text: 'c' }])
+
+    await assert.rejects(
+      spool.drain(async () => {
+        const error = new Error('unreachable')
+        error.unsentLogs = [{ text: 'c' }]
+        throw error
+      }),
+      { message: 'unreachable' }
+    )
+
+    const sent = []
+    await spool.drain(async (logs) => sent.push(...logs))
+    assert.deepStrictEqual(sent, [{ text: 'c' }])
+  })
+
+  it('should share a drain between concurrent callers', async () => {
+    await spool.write([{ text: 'only' }])
+
+    let calls = 0
+    const send = async () => {
+      calls++
+      await new Promise((resolve) => setTimeout(resolve, 10))
+    }
+
+    await Promise.all([spool.drain(send), spool.drain(send)])
+
+    assert.strictEqual(calls, 1)
+  })
+
+  it('should drop oldest segments beyond maxBytes', async () => {
+    const small = new DiskSpool({ directory, maxSegmentBytes: 1024, maxBytes: 600 })
+    const log = { text: 'x'.repeat(200) }
+
+    await small.write([log])
+    await small.write([log])
+    await small.write([{ text: 'newest'.padEnd(200, 'y') }])
+
+    const segments = await small.segments()
+    assert.strictEqual(segments.length, 2)
+
+    const sent = []
+    await small.drain(async (logs) => sent.push(logs[0].text))
+    assert.ok(sent[1].startsWith('newest'))
+  })
+
+  it('should pick up segments left by a previous instance', async () => {
+    await spool.write([{ text: 'left over' }])
+
+    const restarted = new DiskSpool({ directory, maxSegmentBytes: 1024, maxBytes: 10 * 1024 })
+    await restarted.init()
+
+    const sent = []
+    await restarted.drain(async (logs) => sent.push(...logs))
+    assert.deepStrictEqual(sent, [{ text: 'left over' }])
+  })
+
+  it('should ignore unfinished temp files and corrupt lines', async () => {
+    await writeFile(join(directory, '000000000000001-000000000.tmp'), '{"text":"partial"')
+    await writeFile(join(directory, '000000000000002-000000000.ndjson'), 'not json\n{"text":"ok"}\n')
+
+    const sent = []
+    await spool.drain(async (logs) => sent.push(...logs))
+
+    assert.deepStrictEqual(sent, [{ text: 'ok' }])
+    assert.deepStrictEqual(await readdir(directory), ['000000000000001-000000000.tmp'])
+  })
+})
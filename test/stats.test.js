@@ -0,0 +1,101 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert'
+import { TransportStats } from '../src/stats.js'
+
+describe('Transport Stats', () => {
+  it('should start with empty counters', () => {
+    const stats = new TransportStats().snapshot()
+
+    assert.strictEqual(stats.recordsIn, 0)
+    assert.strictEqual(stats.recordsSent, 0)
+    assert.deepStrictEqual(stats.statusCodes, {})
+    assert.strictEqual(stats.dropped.overflow, 0)
+    assert.strictEqual(stats.lastSuccessAt, null)
+    assert.deepStrictEqual(stats.buffer, { records: 0, bytes: 0, inFlight: 0 })
+  })
+
+  it('should count requests by status code', () => {
+    const stats = new TransportStats()
+
+    stats.recordRequest(200, 12)
+    stats.recordRequest(200, 30)
+    stats.recordRequest(503, 7)
+    stats.recordRequest('error', 3)
+
+    assert.deepStrictEqual(stats.snapshot().statusCodes, { 200: 2, 503: 1, error: 1 })
+  })
+
+  it('should build a cumulative latency histogram', () => {
+    const stats = new TransportStats()
+
+    stats.recordRequest(200, 3)
+    stats.recordRequest(200, 40)
+    stats.recordRequest(200, 60000)
+
+    const { latency } = stats.snapshot()
+    assert.strictEqual(latency.buckets[5], 1)
+    assert.strictEqual(latency.buckets[50], 2)
+    assert.strictEqual(latency.buckets[10000], 2)
+    assert.strictEqual(latency.buckets['+Inf'], 3)
+    assert.strictEqual(latency.sum, 60043)
+    assert.strictEqual(latency.count, 3)
+  })
+
+  it('should record sent batches and the last success time', () => {
+    const stats = new TransportStats()
+    const before = Date.now()
+
+    stats.recordSent(10, 1500)
+    stats.recordSent(5, 700)
+
+    const snapshot = stats.snapshot()
+    assert.strictEqual(snapshot.recordsSent, 15)
+    assert.strictEqual(snapshot.bytesSent, 2200)
+    assert.strictEqual(snapshot.batchesSent, 2)
+    assert.ok(snapshot.lastSuccessAt >= before)
+  })
+
+  it('should count drops by reason and remember the last error', () => {
+    const stats = new TransportStats()
+
+    stats.recordDrop('overflow', 3)
+    stats.recordDrop('oversize')
+    stats.recordError(new Error('boom'))
+
+    const snapshot = stats.snapshot()
+    assert.strictEqual(snapshot.dropped.overflow, 3)
+    assert.strictEqual(snapshot.dropped.oversize, 1)
+    assert.strictEqual(snapshot.lastError, 'boom')
+    assert.ok(snapshot.lastErrorAt > 0)
+  })
+
+  it('should read the buffer state on each snapshot', () => {
+    let records = 1
+    const stats = new TransportStats(() => ({ records, bytes: records * 100, inFlight: 1 }))
+
+    assert.strictEqual(stats.snapshot().buffer.records, 1)
+    records = 5
+    assert.deepStrictEqual(stats.snapshot().buffer, { records: 5, bytes: 500, inFlight: 1 })
+  })
+
+  it('should render metrics in the Prometheus text format', () => {
+    const stats = new TransportStats()
+    stats.recordsIn = 4
+    stats.recordRequest(200, 20)
+    stats.recordSent(4, 512)
+    stats.recordDrop('parse')
+
+    const text = stats.toPrometheus()
+
+    assert.match(text, /^# HELP coralogix_transport_records_in_total /m)
+    assert.match(text, /^# TYPE coralogix_transport_records_in_total counter$/m)
+    assert.match(text, /^coralogix_transport_records_in_total 4$/m)
+    assert.match(text, /^coralogix_transport_requests_total\{status="200"\} 1$/m)
+    assert.match(text, /^coralogix_transport_records_dropped_total\{reason="parse"\} 1$/m)
+    assert.match(text, /^coralogix_transport_request_duration_seconds_bucket\{le="0.025"\} 1$/m)
+    assert.match(text, /^coralogix_transport_request_duration_seconds_bucket\{le="\+Inf"\} 1$/m)
+    assert.match(text, /^coralogix_transport_request_duration_seconds_sum 0.02$/m)
+    assert.match(text, /^coralogix_transport_buffered_records 0$/m)
+    assert.ok(text.endsWith('\n'))
+  })
+})
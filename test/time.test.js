@@ -0,0 +1,79 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert'
+import { HiResClock, msToNanoseconds, parseNanoseconds, normalizeTime, isNanosecondString } from '../src/time.js'
+
+describe('Time Helpers', () => {
+  it('should convert milliseconds to nanoseconds', () => {
+    assert.strictEqual(msToNanoseconds(1675148539123), 1675148539123000000n)
+  })
+
+  it('should keep sub-millisecond precision', () => {
+    assert.strictEqual(msToNanoseconds(1675148539123.5), 1675148539123500000n)
+  })
+
+  it('should keep order of records within the same millisecond', () => {
+    const clock = new HiResClock()
+    const ns = msToNanoseconds(1675148539123)
+
+    const first = clock.next(ns)
+    const second = clock.next(ns)
+    const third = clock.next(ns)
+
+    assert.strictEqual(first, ns)
+    assert.strictEqual(second, ns + 1n)
+    assert.strictEqual(third, ns + 2n)
+  })
+
+  it('should not shift records from another millisecond', () => {
+    const clock = new HiResClock()
+    const later = msToNanoseconds(1675148539124)
+    const earlier = msToNanoseconds(1675148539123)
+
+    assert.strictEqual(clock.next(later), later)
+    assert.strictEqual(clock.next(earlier), earlier)
+    assert.strictEqual(clock.next(later), later)
+  })
+
+  it('should parse supplied nanoseconds', () => {
+    assert.strictEqual(parseNanoseconds('1675148539789123123'), 1675148539789123123n)
+    assert.strictEqual(parseNanoseconds(1675148539789123n), 1675148539789123n)
+    assert.strictEqual(parseNanoseconds(1000), 1000n)
+    assert.strictEqual(parseNanoseconds('abc'), null)
+    assert.strictEqual(parseNanoseconds(undefined), null)
+  })
+
+  it('should keep epoch milliseconds', () => {
+    assert.strictEqual(normalizeTime(1675148539123), 1675148539123)
+    assert.strictEqual(normalizeTime(1675148539123.456), 1675148539123.456)
+  })
+
+  it('should normalize epoch seconds', () => {
+    assert.strictEqual(normalizeTime(1675148539), 1675148539000)
+    assert.strictEqual(normalizeTime('1675148539'), 1675148539000)
+    assert.strictEqual(normalizeTime('1675148539.5'), 1675148539500)
+  })
+
+  it('should normalize epoch microseconds and nanoseconds', () => {
+    assert.strictEqual(normalizeTime(1675148539123456), 1675148539123.456)
+    assert.strictEqual(normalizeTime('1675148539123456789'), 1675148539123.456)
+  })
+
+  it('should normalize ISO-8601 strings', () => {
+    assert.strictEqual(normalizeTime('2023-01-31T07:02:19.123Z'), 1675148539123)
+    assert.strictEqual(normalizeTime('2023-01-31T08:02:19.123+01:00'), 1675148539123)
+  })
+
+  it('should return null for missing or invalid timestamps', () => {
+    assert.strictEqual(normalizeTime(undefined), null)
+    assert.strictEqual(normalizeTime(''), null)
+    assert.strictEqual(normalizeTime('yesterday'), null)
+    assert.strictEqual(normalizeTime(-1), null)
+    assert.strictEqual(normalizeTime(NaN), null)
+  })
+
+  it('should detect nanosecond strings', () => {
+    assert.strictEqual(isNanosecondString('1675148539123456789'), true)
+    assert.strictEqual(isNanosecondString('1675148539123'), false)
+    assert.strictEqual(isNanosecondString(1675148539123), false)
+  })
+})
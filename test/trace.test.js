@@ -0,0 +1,88 @@
+import { describe, it } from 'node:test'
+import assert from 'node:assert'
+import { extractTraceContext } from '../src/trace.js'
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736'
+const SPAN_ID = '00f067aa0ba902b7'
+
+describe('Trace Context', () => {
+  it('should read the fields injected by OpenTelemetry instrumentation', () => {
+    const context = extractTraceContext({ trace_id: TRACE_ID, span_id: SPAN_ID, trace_flags: '01' }, {})
+
+    assert.deepStrictEqual(context, {
+      traceId: TRACE_ID,
+      spanId: SPAN_ID,
+      traceFlags: '01',
+      keys: ['trace_id', 'span_id', 'trace_flags']
+    })
+  })
+
+  it('should read camelCase fields', () => {
+    const context = extractTraceContext({ traceId: TRACE_ID, spanId: SPAN_ID, traceFlags: 1 }, {})
+
+    assert.deepStrictEqual(context, {
+      traceId: TRACE_ID,
+      spanId: SPAN_ID,
+      traceFlags: '01',
+      keys: ['traceId', 'spanId', 'traceFlags']
+    })
+  })
+
+  it('should read configured field names only', () => {
+    const config = { traceIdKey: 'tid', spanIdKey: 'sid', traceFlagsKey: 'flags' }
+
+    assert.deepStrictEqual(extractTraceContext({ tid: TRACE_ID, sid: SPAN_ID, flags: '00' }, config), {
+      traceId: TRACE_ID,
+      spanId: SPAN_ID,
+      traceFlags: '00',
+      keys: ['tid', 'sid', 'flags']
+    })
+    assert.strictEqual(extractTraceContext({ trace_id: TRACE_ID }, config), null)
+  })
+
+  it('should parse a traceparent field', () => {
+    const context = extractTraceContext({ traceparent: `00-${TRACE_ID}-${SPAN_ID}-01` }, {})
+
+    assert.deepStrictEqual(context, { traceId: TRACE_ID, spanId: SPAN_ID, traceFlags: '01', keys: ['traceparent'] })
+  })
+
+  it('should prefer separate fields over traceparent', () => {
+    const other = 'a'.repeat(32)
+    const context = extractTraceContext({ trace_id: other, traceparent: `00-${TRACE_ID}-${SPAN_ID}-01` }, {})
+
+    assert.strictEqual(context.traceId, other)
+    assert.deepStrictEqual(context.keys, ['trace_id'])
+  })
+
+  it('should normalize ids to lowercase', () => {
+    const context = extractTraceContext({ trace_id: TRACE_ID.toUpperCase(), span_id: SPAN_ID.toUpperCase() }, {})
+
+    assert.strictEqual(context.traceId, TRACE_ID)
+    assert.strictEqual(context.spanId, SPAN_ID)
+  })
+
+  it('should ignore invalid ids', () => {
+    assert.strictEqual(extractTraceContext({ trace_id: 'not-a-trace' }, {}), null)
+    assert.strictEqual(extractTraceContext({ trace_id: '0'.repeat(32) }, {}), null)
+    assert.strictEqual(extractTraceContext({ span_id: SPAN_ID }, {}), null)
+
+    const context = extractTraceContext({ trace_id: TRACE_ID, span_id: '0'.repeat(16), trace_flags: 'x' }, {})
+    assert.deepStrictEqual(context, { traceId: TRACE_ID, keys: ['trace_id'] })
+  })
+
+  it('should ignore invalid traceparent values', () => {
+    for (const traceparent of [
+      `ff-${TRACE_ID}-${SPAN_ID}-01`,
+      `00-${TRACE_ID}-${SPAN_ID}-01-extra`,
+      `00-${'0'.repeat(32)}-${SPAN_ID}-01`,
+      `00-${TRACE_ID}-${'0'.repeat(16)}-01`,
+      `00-${TRACE_ID}-01`
+    ]) {
+      assert.strictEqual(extractTraceContext({ traceparent }, {}), null, traceparent)
+    }
+  })
+
+  it('should do nothing when traceContext is false', () => {
+    assert.strictEqual(extractTraceContext({ trace_id: TRACE_ID }, { traceContext: false }), null)
+  })
+})
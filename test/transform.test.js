@@ -1,6 +1,7 @@
 import { describe, it } from 'node:test'
 import assert from 'node:assert'
 import { transformLog } from '../src/transform.js'
+import { HiResClock } from '../src/time.js'
 
 describe('Log Transformation', () => {
   const config = {
@@ -21,7 +22,7 @@ describe('Log Transformation', () => {
 
     assert.strictEqual(result.applicationName, 'test-app')
     assert.strictEqual(result.subsystemName, 'test-subsystem')
-    assert.strictEqual(result.text, 'Test message')
+    assert.deepStrictEqual(result.text, { message: 'Test message' })
     assert.strictEqual(result.timestamp, 1675148539123)
     assert.strictEqual(result.severity, 3) // info
   })
@@ -103,7 +104,7 @@ describe('Log Transformation', () => {
       time: Date.now(),
       msg: { key: 'value', nested: { data: 123 } }
     }
-    const result = transformLog(pinoLog, config)
+    const result = transformLog(pinoLog, { ...config, textFormat: 'message' })
     assert.strictEqual(typeof result.text, 'string')
     assert.ok(result.text.includes('key'))
     assert.ok(result.text.includes('value'))
@@ -147,7 +148,7 @@ describe('Log Transformation', () => {
       level: 30,
       time: Date.now()
     }
-    const result = transformLog(pinoLog, config)
+    const result = transformLog(pinoLog, { ...config, textFormat: 'message' })
     assert.strictEqual(result.text, '')
   })
 
@@ -161,6 +162,296 @@ describe('Log Transformation', () => {
     }
     const result = transformLog(pinoLog, config)
     assert.ok(result)
+    assert.deepStrictEqual(result.text, { message: 'test', pid: 12345, name: 'my-logger' })
+  })
+
+  it('should send only the message as text in message mode', () => {
+    const pinoLog = { level: 30, time: Date.now(), msg: 'test', pid: 12345, userId: 123 }
+    const result = transformLog(pinoLog, { ...config, textFormat: 'message' })
     assert.strictEqual(result.text, 'test')
   })
+
+  it('should keep bindings and merge objects in structured text', () => {
+    const pinoLog = {
+      level: 40,
+      time: Date.now(),
+      msg: 'User session expired',
+      userId: 123,
+      req: { method: 'GET', url: '/users' },
+      module: 'auth'
+    }
+    const result = transformLog(pinoLog, config)
+    assert.deepStrictEqual(result.text, {
+      message: 'User session expired',
+      userId: 123,
+      req: { method: 'GET', url: '/users' },
+      module: 'auth'
+    })
+  })
+
+  it('should not repeat mapped fields in structured text', () => {
+    const pinoLog = {
+      level: 30,
+      time: Date.now(),
+      msg: 'test',
+      hostname: 'host',
+      category: 'cat',
+      className: 'Class',
+      methodName: 'method',
+      threadId: 'thread'
+    }
+    const result = transformLog(pinoLog, config)
+    assert.deepStrictEqual(result.text, { message: 'test' })
+  })
+
+  it('should use a custom messageKey', () => {
+    const pinoLog = { level: 30, time: Date.now(), msg: 'test', userId: 1 }
+    const result = transformLog(pinoLog, { ...config, messageKey: 'msg' })
+    assert.deepStrictEqual(result.text, { msg: 'test', userId: 1 })
+  })
+
+  it('should not let a field named like the message key overwrite the message', () => {
+    const pinoLog = { level: 30, time: Date.now(), msg: 'hello', message: 'payload' }
+    const result = transformLog(pinoLog, config)
+    assert.deepStrictEqual(result.text, { message: 'hello' })
+  })
+
+  it('should keep a field named like the message key when msg is missing', () => {
+    const pinoLog = { level: 30, time: Date.now(), message: 'payload' }
+    const result = transformLog(pinoLog, config)
+    assert.deepStrictEqual(result.text, { message: 'payload' })
+  })
+
+  it('should omit the message key when msg is missing', () => {
+    const pinoLog = { level: 30, time: Date.now(), userId: 1 }
+    const result = transformLog(pinoLog, config)
+    assert.deepStrictEqual(result.text, { userId: 1 })
+  })
+
+  it('should only keep includeFields', () => {
+    const pinoLog = { level: 30, time: Date.now(), msg: 'test', pid: 1, userId: 2, req: {} }
+    const result = transformLog(pinoLog, { ...config, includeFields: ['userId'] })
+    assert.deepStrictEqual(result.text, { message: 'test', userId: 2 })
+  })
+
+  it('should drop excludeFields', () => {
+    const pinoLog = { level: 30, time: Date.now(), msg: 'test', pid: 1, userId: 2 }
+    const result = transformLog(pinoLog, { ...config, excludeFields: ['pid'] })
+    assert.deepStrictEqual(result.text, { message: 'test', userId: 2 })
+  })
+
+  it('should serialize err fields in structured text', () => {
+    const err = new Error('Connection failed', { cause: new Error('timeout') })
+    err.code = 'ECONNREFUSED'
+    const pinoLog = { level: 50, time: Date.now(), msg: 'Database error', err }
+    const result = transformLog(pinoLog, config)
+
+    assert.strictEqual(result.text.err.type, 'Error')
+    assert.strictEqual(result.text.err.message, 'Connection failed')
+    assert.strictEqual(result.text.err.code, 'ECONNREFUSED')
+    assert.strictEqual(result.text.err.cause.message, 'timeout')
+    assert.strictEqual(typeof result.text.err.stack, 'string')
+  })
+
+  it('should serialize error fields with stack lines', () => {
+    const pinoLog = {
+      level: 50,
+      time: Date.now(),
+      msg: 'failed',
+      error: { type: 'Error', message: 'boom', stack: 'Error: boom\n    at run (app.js:1:1)' }
+    }
+    const result = transformLog(pinoLog, { ...config, stackFormat: 'lines' })
+    assert.deepStrictEqual(result.text.error.stack, ['Error: boom', 'at run (app.js:1:1)'])
+  })
+
+  it('should append the stack to the message in message mode', () => {
+    const pinoLog = {
+      level: 50,
+      time: Date.now(),
+      msg: 'failed',
+      err: { type: 'Error', message: 'boom', stack: 'Error: boom\n    at run (app.js:1:1)' }
+    }
+    const result = transformLog(pinoLog, { ...config, textFormat: 'message' })
+    assert.strictEqual(result.text, 'failed\nError: boom\n    at run (app.js:1:1)')
+  })
+
+  it('should fill className and methodName from the error stack', () => {
+    const pinoLog = {
+      level: 50,
+      time: Date.now(),
+      msg: 'failed',
+      err: { type: 'Error', message: 'boom', stack: 'Error: boom\n    at UserService.create (app.js:1:1)' }
+    }
+    const result = transformLog(pinoLog, { ...config, errorLocation: true })
+    assert.strictEqual(result.className, 'UserService')
+    assert.strictEqual(result.methodName, 'create')
+  })
+
+  it('should not override explicit className with the error location', () => {
+    const pinoLog = {
+      level: 50,
+      time: Date.now(),
+      msg: 'failed',
+      className: 'Explicit',
+      err: { type: 'Error', message: 'boom', stack: 'Error: boom\n    at UserService.create (app.js:1:1)' }
+    }
+    const result = transformLog(pinoLog, { ...config, errorLocation: true })
+    assert.strictEqual(result.className, 'Explicit')
+    assert.strictEqual(result.methodName, undefined)
+  })
+
+  it('should not emit hiResTimestamp by default', () => {
+    const pinoLog = { level: 30, time: 1675148539123, msg: 'test' }
+    const result = transformLog(pinoLog, config)
+    assert.strictEqual(result.hiResTimestamp, undefined)
+  })
+
+  it('should emit hiResTimestamp derived from time', () => {
+    const pinoLog = { level: 30, time: 1675148539123, msg: 'test' }
+    const result = transformLog(pinoLog, { ...config, hiResTimestamp: true })
+    assert.strictEqual(result.hiResTimestamp, '1675148539123000000')
+    assert.strictEqual(result.timestamp, 1675148539123)
+  })
+
+  it('should keep order of a burst within the same millisecond', () => {
+    const clock = new HiResClock()
+    const hiResConfig = { ...config, hiResTimestamp: true }
+    const results = [1, 2, 3].map((i) =>
+      transformLog({ level: 30, time: 1675148539123, msg: `event ${i}` }, hiResConfig, clock)
+    )
+
+    assert.deepStrictEqual(results.map((r) => r.hiResTimestamp), [
+      '1675148539123000000',
+      '1675148539123000001',
+      '1675148539123000002'
+    ])
+  })
+
+  it('should use a supplied nanosecond field', () => {
+    const pinoLog = { level: 30, time: 1675148539789, msg: 'test', timeNs: '1675148539789123123' }
+    const result = transformLog(pinoLog, { ...config, hiResTimestamp: true, hiResTimestampKey: 'timeNs' })
+    assert.strictEqual(result.hiResTimestamp, '1675148539789123123')
+    assert.deepStrictEqual(result.text, { message: 'test' })
+  })
+
+  it('should normalize ISO time strings', () => {
+    const pinoLog = { level: 30, time: '2023-01-31T07:02:19.123Z', msg: 'test' }
+    const result = transformLog(pinoLog, config)
+    assert.strictEqual(result.timestamp, 1675148539123)
+  })
+
+  it('should normalize epoch seconds', () => {
+    const pinoLog = { level: 30, time: 1675148539, msg: 'test' }
+    const result = transformLog(pinoLog, config)
+    assert.strictEqual(result.timestamp, 1675148539000)
+  })
+
+  it('should use the receive time when timestamps are disabled', () => {
+    const before = Date.now()
+    const result = transformLog({ level: 30, msg: 'test' }, config)
+    assert.ok(result.timestamp >= before && result.timestamp <= Date.now())
+  })
+
+  it('should read the time from a custom timeKey', () => {
+    const pinoLog = { level: 30, timestamp: '2023-01-31T07:02:19.123Z', msg: 'test' }
+    const result = transformLog(pinoLog, { ...config, timeKey: 'timestamp' })
+    assert.strictEqual(result.timestamp, 1675148539123)
+    assert.deepStrictEqual(result.text, { message: 'test' })
+  })
+
+  it('should pass nanosecond time strings to hiResTimestamp', () => {
+    const pinoLog = { level: 30, time: '1675148539123456789', msg: 'test' }
+    const result = transformLog(pinoLog, { ...config, hiResTimestamp: true })
+    assert.strictEqual(result.timestamp, 1675148539123.456)
+    assert.strictEqual(result.hiResTimestamp, '1675148539123456789')
+  })
+
+  it('should flag timestamps outside maxTimestampSkew', () => {
+    const pinoLog = { level: 30, time: 1675148539123, msg: 'test' }
+    const before = Date.now()
+    const result = transformLog(pinoLog, { ...config, maxTimestampSkew: 60000 })
+    assert.ok(result.timestamp >= before)
+    assert.strictEqual(result.text.originalTimestamp, 1675148539123)
+  })
+
+  it('should reject timestamps outside maxTimestampSkew', () => {
+    const pinoLog = { level: 30, time: Date.now() + 3600000, msg: 'test' }
+    const result = transformLog(pinoLog, { ...config, maxTimestampSkew: 60000, timestampSkewAction: 'reject' })
+    assert.strictEqual(result, null)
+  })
+
+  it('should keep timestamps within maxTimestampSkew', () => {
+    const time = Date.now() - 1000
+    const result = transformLog({ level: 30, time, msg: 'test' }, { ...config, maxTimestampSkew: 60000 })
+    assert.strictEqual(result.timestamp, time)
+    assert.strictEqual(result.text.originalTimestamp, undefined)
+  })
+
+  it('should map string level labels', () => {
+    const pinoLog = { level: 'error', time: Date.now(), msg: 'test' }
+    const result = transformLog(pinoLog, config)
+    assert.strictEqual(result.severity, 5)
+  })
+
+  it('should map custom levels with severityMap', () => {
+    const pinoLog = { level: 35, time: Date.now(), msg: 'audit' }
+    const result = transformLog(pinoLog, { ...config, severityMap: { 35: 'warn' } })
+    assert.strictEqual(result.severity, 4)
+  })
+
+  it('should read the level from a custom levelKey', () => {
+    const pinoLog = { severity: 'warn', time: Date.now(), msg: 'test' }
+    const result = transformLog(pinoLog, { ...config, levelKey: 'severity' })
+    assert.strictEqual(result.severity, 4)
+    assert.deepStrictEqual(result.text, { message: 'test' })
+  })
+
+  it('should route application and subsystem names per log', () => {
+    const pinoLog = { level: 30, time: Date.now(), msg: 'job done', module: 'cron' }
+    const result = transformLog(pinoLog, {
+      ...config,
+      routes: [{ match: { module: 'cron' }, subsystemName: 'cron-jobs' }]
+    })
+    assert.strictEqual(result.applicationName, 'test-app')
+    assert.strictEqual(result.subsystemName, 'cron-jobs')
+  })
+
+  it('should map trace context fields for log to trace correlation', () => {
+    const pinoLog = {
+      level: 30,
+      time: Date.now(),
+      msg: 'traced',
+      trace_id: '4bf92f3577b34da6a3ce929d0e0e4736',
+      span_id: '00f067aa0ba902b7',
+      trace_flags: '01'
+    }
+
+    const result = transformLog(pinoLog, config)
+
+    assert.deepStrictEqual(result.text, {
+      message: 'traced',
+      traceId: '4bf92f3577b34da6a3ce929d0e0e4736',
+      spanId: '00f067aa0ba902b7',
+      traceFlags: '01'
+    })
+    assert.strictEqual(result.threadId, undefined)
+  })
+
+  it('should fill threadId with the span id when spanIdAsThreadId is set', () => {
+    const traceparent = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01'
+
+    const result = transformLog({ level: 30, time: Date.now(), msg: 'traced', traceparent }, { ...config, spanIdAsThreadId: true })
+    assert.strictEqual(result.threadId, '00f067aa0ba902b7')
+
+    const explicit = transformLog({ level: 30, time: Date.now(), traceparent, threadId: 'worker-1' }, { ...config, spanIdAsThreadId: true })
+    assert.strictEqual(explicit.threadId, 'worker-1')
+  })
+
+  it('should keep trace fields as is when traceContext is false', () => {
+    const pinoLog = { level: 30, time: Date.now(), trace_id: '4bf92f3577b34da6a3ce929d0e0e4736' }
+
+    const result = transformLog(pinoLog, { ...config, traceContext: false })
+
+    assert.deepStrictEqual(result.text, { trace_id: '4bf92f3577b34da6a3ce929d0e0e4736' })
+  })
 })
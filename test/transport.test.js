@@ -87,6 +87,49 @@ describe('Transport Initialization', () => {
     }
   })
 
+  it('should accept additional regions and full domains', async () => {
+    for (const domain of ['in1', 'cx498', 'eu2.coralogix.com', 'coralogix.us']) {
+      const config = {
+        domain,
+        apiKey: 'test-api-key',
+        applicationName: 'test-app',
+        subsystemName: 'test-subsystem'
+      }
+
+      const transport = await build(config)
+      assert.ok(transport, `Transport should be created with domain ${domain}`)
+    }
+  })
+
+  it('should accept an endpoint instead of a domain', async () => {
+    const config = {
+      endpoint: 'https://coralogix.vpce.internal/logs/v1/singles',
+      apiKey: 'test-api-key',
+      applicationName: 'test-app',
+      subsystemName: 'test-subsystem'
+    }
+
+    const transport = await build(config)
+    assert.ok(transport, 'Transport should be created with an endpoint')
+  })
+
+  it('should reject invalid endpoint', async () => {
+    for (const endpoint of ['not a url', 'ftp://example.com']) {
+      const config = {
+        endpoint,
+        apiKey: 'test-api-key',
+        applicationName: 'test-app',
+        subsystemName: 'test-subsystem'
+      }
+
+      await assert.rejects(
+        async () => await build(config),
+        { message: /Invalid endpoint/ },
+        `Should reject endpoint ${endpoint}`
+      )
+    }
+  })
+
   it('should reject invalid domain', async () => {
     const config = {
       domain: 'invalid',
@@ -132,6 +175,219 @@ describe('Transport Initialization', () => {
     assert.ok(transport, 'Transport should be created with custom config')
   })
 
+  it('should reject invalid textFormat', async () => {
+    const config = {
+      domain: 'us1',
+      apiKey: 'test-api-key',
+      applicationName: 'test-app',
+      subsystemName: 'test-subsystem',
+      textFormat: 'xml'
+    }
+
+    await assert.rejects(
+      async () => await build(config),
+      { message: /Invalid textFormat/ },
+      'Should reject invalid textFormat'
+    )
+  })
+
+  it('should reject invalid stackFormat', async () => {
+    const config = {
+      domain: 'us1',
+      apiKey: 'test-api-key',
+      applicationName: 'test-app',
+      subsystemName: 'test-subsystem',
+      stackFormat: 'tree'
+    }
+
+    await assert.rejects(
+      async () => await build(config),
+      { message: /Invalid stackFormat/ },
+      'Should reject invalid stackFormat'
+    )
+  })
+
+  it('should reject invalid timestampSkewAction', async () => {
+    const config = {
+      domain: 'us1',
+      apiKey: 'test-api-key',
+      applicationName: 'test-app',
+      subsystemName: 'test-subsystem',
+      timestampSkewAction: 'ignore'
+    }
+
+    await assert.rejects(
+      async () => await build(config),
+      { message: /Invalid timestampSkewAction/ },
+      'Should reject invalid timestampSkewAction'
+    )
+  })
+
+  it('should reject invalid severities in severityMap', async () => {
+    const config = {
+      domain: 'us1',
+      apiKey: 'test-api-key',
+      applicationName: 'test-app',
+      subsystemName: 'test-subsystem',
+      severityMap: { audit: 'loud' }
+    }
+
+    await assert.rejects(
+      async () => await build(config),
+      { message: /Invalid severity for level audit/ },
+      'Should reject invalid severityMap'
+    )
+  })
+
+  it('should reject routes without match', async () => {
+    const config = {
+      domain: 'us1',
+      apiKey: 'test-api-key',
+      applicationName: 'test-app',
+      subsystemName: 'test-subsystem',
+      routes: [{ subsystemName: 'cron' }]
+    }
+
+    await assert.rejects(
+      async () => await build(config),
+      { message: /Each route must have a match object/ },
+      'Should reject routes without match'
+    )
+  })
+
+  it('should reject invalid redactMode', async () => {
+    const config = {
+      domain: 'us1',
+      apiKey: 'test-api-key',
+      applicationName: 'test-app',
+      subsystemName: 'test-subsystem',
+      redactMode: 'blur'
+    }
+
+    await assert.rejects(
+      async () => await build(config),
+      { message: /Invalid redactMode/ },
+      'Should reject invalid redactMode'
+    )
+  })
+
+  it('should reject invalid compression', async () => {
+    const config = {
+      domain: 'us1',
+      apiKey: 'test-api-key',
+      applicationName: 'test-app',
+      subsystemName: 'test-subsystem',
+      compression: 'brotli'
+    }
+
+    await assert.rejects(
+      async () => await build(config),
+      { message: /Invalid compression/ },
+      'Should reject invalid compression'
+    )
+  })
+
+  it('should reject invalid oversizePolicy', async () => {
+    const config = {
+      domain: 'us1',
+      apiKey: 'test-api-key',
+      applicationName: 'test-app',
+      subsystemName: 'test-subsystem',
+      oversizePolicy: 'compress'
+    }
+
+    await assert.rejects(
+      async () => await build(config),
+      { message: /Invalid oversizePolicy/ },
+      'Should reject invalid oversizePolicy'
+    )
+  })
+
+  it('should reject an invalid proxy URL', async () => {
+    const config = {
+      domain: 'us1',
+      apiKey: 'test-api-key',
+      applicationName: 'test-app',
+      subsystemName: 'test-subsystem',
+      proxy: 'not a url'
+    }
+
+    await assert.rejects(
+      async () => await build(config),
+      { message: /Invalid proxy: not a url/ },
+      'Should reject invalid proxy'
+    )
+  })
+
+  it('should reject invalid maxInFlight', async () => {
+    const config = {
+      domain: 'us1',
+      apiKey: 'test-api-key',
+      applicationName: 'test-app',
+      subsystemName: 'test-subsystem',
+      maxInFlight: 0
+    }
+
+    await assert.rejects(
+      async () => await build(config),
+      { message: /Invalid maxInFlight/ },
+      'Should reject invalid maxInFlight'
+    )
+  })
+
+  it('should reject invalid overflowPolicy', async () => {
+    const config = {
+      domain: 'us1',
+      apiKey: 'test-api-key',
+      applicationName: 'test-app',
+      subsystemName: 'test-subsystem',
+      overflowPolicy: 'dropRandom'
+    }
+
+    await assert.rejects(
+      async () => await build(config),
+      { message: /Invalid overflowPolicy/ },
+      'Should reject invalid overflowPolicy'
+    )
+  })
+
+  it('should reject invalid protocol', async () => {
+    const config = {
+      domain: 'us1',
+      apiKey: 'test-api-key',
+      applicationName: 'test-app',
+      subsystemName: 'test-subsystem',
+      protocol: 'grpc'
+    }
+
+    await assert.rejects(
+      async () => await build(config),
+      { message: /Invalid protocol/ },
+      'Should reject invalid protocol'
+    )
+  })
+
+  it('should reject invalid endpointType', async () => {
+    const config = {
+      domain: 'us1',
+      apiKey: 'test-api-key',
+      applicationName: 'test-app',
+      subsystemName: 'test-subsystem',
+      endpointType: 'batch'
+    }
+
+    await assert.rejects(
+      async () => await build(config),
+      { message: /Invalid endpointType/ },
+      'Should reject invalid endpointType'
+    )
+    await assert.rejects(
+      async () => await build({ ...config, endpointType: 'bulk', protocol: 'otlp' }),
+      { message: /only available with the rest protocol/ },
+      'Should reject bulk with otlp'
+    )
+  })
+
   it('should export default function for Pino transport option', async () => {
     assert.strictEqual(typeof buildDefault, 'function', 'Default export should be a function')
 